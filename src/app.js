@@ -14,6 +14,7 @@ window.mediaElement = document.getElementById('video-player');
 window.playlist = [];
 window.currentPlaylistIndex = -1;
 window.repeatMode = "RepeatNone";
+window.shuffleMode = "Sorted";
 
 // Global variable set by Webpack
 if (!PRODUCTION) {
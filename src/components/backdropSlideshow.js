@@ -0,0 +1,230 @@
+import { ajax } from "./fetchhelper";
+import {
+    getUrl,
+    getSecurityHeaders,
+    getBackdropUrl,
+    getUser
+} from "../helpers";
+
+/**
+ * Seconds each backdrop is shown unless the sender asks for something else.
+ */
+const defaultInterval = 30;
+
+/**
+ * Number of items fetched at once, the slideshow only goes back to the server once they were all shown.
+ */
+const batchSize = 20;
+
+/**
+ * Rating cap for users without a parental rating in their policy.
+ * Not everyone will want to see adult backdrops rotating on their TV.
+ */
+const defaultMaxOfficialRating = "PG-13";
+
+/**
+ * Slideshow of random backdrops shown on the waiting screen.
+ *
+ * Senders can configure it through the `backdropOptions` of their messages:
+ * - libraryIds: ids of the libraries to take items from, all libraries by default.
+ * - interval: seconds between two backdrops, 30 by default.
+ * - maxOfficialRating: highest official rating to show. Without it the parental
+ *   rating of the user's policy applies, or PG-13 if the user has none.
+ */
+export class backdropSlideshow {
+    constructor() {
+        this.options = {};
+        this.server = null;
+        this.items = [];
+        this.libraryIndex = 0;
+        this.ratingPromise = null;
+        this.interval = null;
+        this.generation = 0;
+
+        this.container = document.getElementById("waiting-container-backdrop");
+        this.layers = this.container.querySelectorAll(".backdropLayer");
+        this.activeLayer = 0;
+        this.caption = this.container.querySelector(".backdropCaption");
+    }
+
+    /**
+     * @param {Object} options Options sent by the sender.
+     */
+    setOptions(options) {
+        this.options = options || {};
+
+        if (this.server) {
+            this.start(this.server);
+        }
+    }
+
+    /**
+     * Start showing backdrops of a user's library.
+     * @param {Object} server Server of the user, holding serverAddress, accessToken and userId.
+     */
+    start(server) {
+        this.stop();
+
+        this.server = server;
+        this.ratingPromise = this.getMaxOfficialRating();
+
+        this.showNext();
+        this.interval = setInterval(() => this.showNext(), (this.options.interval || defaultInterval) * 1000);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+
+        // Requests still pending for the previous run are ignored once they return
+        this.generation++;
+        this.server = null;
+        this.items = [];
+
+        for (const layer of this.layers) {
+            layer.classList.remove("visible");
+        }
+        this.setCaption(null);
+    }
+
+    /**
+     * @returns {Promise<?string>} Promise resolving to the rating cap to query with, null to rely on the user's policy.
+     */
+    getMaxOfficialRating() {
+        if (this.options.maxOfficialRating) {
+            return Promise.resolve(this.options.maxOfficialRating);
+        }
+
+        const server = this.server;
+        return getUser(server.serverAddress, server.accessToken, server.userId).then((user) => {
+            // The server already filters items by the parental rating of the user's policy
+            return user.Policy && user.Policy.MaxParentalRating != null ? null : defaultMaxOfficialRating;
+        }, () => defaultMaxOfficialRating);
+    }
+
+    /**
+     * @returns {string[]} Ids of the libraries to take items from.
+     */
+    getLibraryIds() {
+        const libraryIds = this.options.libraryIds || [];
+        return typeof libraryIds === "string" ? libraryIds.split(",") : libraryIds;
+    }
+
+    /**
+     * Fetch the next batch of random items, rotating through the configured libraries.
+     * @returns {Promise<Object[]>} Promise resolving to the items.
+     */
+    fetchItems() {
+        const server = this.server;
+
+        return this.ratingPromise.then((maxOfficialRating) => {
+            const query = {
+                SortBy: "Random",
+                IncludeItemTypes: "Movie,Series",
+                ImageTypes: "Backdrop",
+                Recursive: true,
+                Limit: batchSize
+            };
+
+            if (maxOfficialRating) {
+                query.MaxOfficialRating = maxOfficialRating;
+            }
+
+            const libraryIds = this.getLibraryIds();
+            if (libraryIds.length) {
+                query.ParentId = libraryIds[this.libraryIndex % libraryIds.length];
+                this.libraryIndex++;
+            }
+
+            return ajax({
+                url: getUrl(server.serverAddress, "Users/" + server.userId + "/Items"),
+                headers: getSecurityHeaders(server.accessToken, server.userId),
+                dataType: "json",
+                type: "GET",
+                query: query
+            });
+        }).then((result) => result.Items);
+    }
+
+    async showNext() {
+        console.log("backdropSlideshow: showNext");
+
+        const generation = this.generation;
+        const server = this.server;
+
+        try {
+            if (!this.items.length) {
+                const items = await this.fetchItems();
+                // Items of a previous run must not take the place of the current one's
+                if (generation !== this.generation) {
+                    return;
+                }
+
+                this.items = items;
+            }
+
+            const item = this.items.shift();
+            const backdropUrl = item ? getBackdropUrl(item, server.serverAddress) : null;
+            if (!backdropUrl) {
+                return;
+            }
+
+            await preloadImage(backdropUrl);
+
+            if (generation === this.generation) {
+                this.crossFade(backdropUrl);
+                this.setCaption(item);
+            }
+        } catch (err) {
+            console.log("Showing backdrop failed: " + err);
+        }
+    }
+
+    /**
+     * Fade the new backdrop in over the current one.
+     * @param {string} url Url of the new backdrop.
+     */
+    crossFade(url) {
+        const previous = this.layers[this.activeLayer];
+        this.activeLayer = (this.activeLayer + 1) % this.layers.length;
+        const next = this.layers[this.activeLayer];
+
+        next.style.backgroundImage = "url(" + url + ")";
+        next.classList.add("visible");
+        previous.classList.remove("visible");
+    }
+
+    /**
+     * @param {?Object} item Item whose backdrop is shown, null to hide the caption.
+     */
+    setCaption(item) {
+        if (!item) {
+            this.caption.innerHTML = "";
+            this.caption.classList.add("hide");
+            return;
+        }
+
+        let text = item.Name;
+        if (item.ProductionYear) {
+            text += " (" + item.ProductionYear + ")";
+        }
+
+        this.caption.textContent = text;
+        this.caption.classList.remove("hide");
+    }
+}
+
+/**
+ * @param {string} url Url of the image.
+ * @returns {Promise} Promise resolving once the image is loaded, so it can be faded in at once.
+ */
+function preloadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = resolve;
+        image.onerror = reject;
+        image.src = url;
+    });
+}
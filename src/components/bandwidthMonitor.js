@@ -0,0 +1,245 @@
+import { broadcastToMessageBus } from "../helpers";
+
+/**
+ * Number of downloads the throughput estimate is based on.
+ */
+const sampleCount = 10;
+
+/**
+ * Downloads smaller than this are dominated by latency and say little about throughput.
+ */
+const minSampleBytes = 64 * 1024;
+
+/**
+ * Buffering right after loading or seeking is expected and not counted as a stall.
+ */
+const gracePeriod = 5000;
+
+/**
+ * A single stall lasting this long triggers a downgrade.
+ */
+const longStallDuration = 10000;
+
+/**
+ * Number of stalls within stallWindow that trigger a downgrade.
+ */
+const maxStalls = 3;
+const stallWindow = 60000;
+
+/**
+ * Share of the current bitrate, or of the estimated throughput, requested after a downgrade.
+ */
+const downgradeFactor = 0.7;
+
+/**
+ * Bitrate below which we don't downgrade any further.
+ */
+const minBitrate = 500000;
+
+/**
+ * Time after which a lowered bitrate is lifted again, matching the bitrate detection interval.
+ */
+const capLifetime = 600000;
+
+/**
+ * Minimum time between two bandwidth updates sent to the sender.
+ */
+const broadcastInterval = 10000;
+
+/**
+ * Estimates the available bandwidth from the media the player downloads and
+ * lowers the streaming bitrate when playback keeps stalling.
+ */
+export class bandwidthMonitor {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     * @param {function()} onDowngrade Called after the bitrate was lowered, to request a new stream.
+     */
+    constructor(playerManager, onDowngrade) {
+        this.playerManager = playerManager;
+        this.onDowngrade = onDowngrade;
+
+        this.samples = [];
+        this.stalls = [];
+        this.stallTimeout = null;
+        this.isStalled = false;
+        this.graceUntil = 0;
+        this.bitrateCap = null;
+        this.lastBroadcast = 0;
+
+        const EventType = cast.framework.events.EventType;
+
+        playerManager.addEventListener(EventType.SEGMENT_DOWNLOADED, (event) => {
+            this.addSample(event.size, event.downloadTime);
+        });
+        playerManager.addEventListener(EventType.BUFFERING, (event) => {
+            this.onBuffering(event.isBuffering);
+        });
+        playerManager.addEventListener(EventType.PLAYER_LOAD_COMPLETE, () => {
+            this.reset();
+            this.graceUntil = Date.now() + gracePeriod;
+        });
+        playerManager.addEventListener(EventType.SEEKING, () => {
+            this.graceUntil = Date.now() + gracePeriod;
+        });
+
+        // Progressive streams aren't segmented, their downloads only show up in the resource timings
+        if (window.PerformanceObserver) {
+            new PerformanceObserver((list) => {
+                for (const entry of list.getEntries()) {
+                    if (entry.initiatorType === "video" || entry.initiatorType === "audio") {
+                        this.addSample(entry.transferSize, entry.responseEnd - entry.responseStart);
+                    }
+                }
+            }).observe({ entryTypes: ["resource"] });
+        }
+    }
+
+    /**
+     * @param {number} bytes Size of the download.
+     * @param {number} durationMs Time the download took.
+     */
+    addSample(bytes, durationMs) {
+        if (!bytes || bytes < minSampleBytes || !durationMs || durationMs <= 0) {
+            return;
+        }
+
+        this.samples.push({ bytes: bytes, durationMs: durationMs });
+        if (this.samples.length > sampleCount) {
+            this.samples.shift();
+        }
+
+        this.broadcast(false);
+    }
+
+    /**
+     * @returns {?number} Estimated throughput in bits per second, null without enough data.
+     */
+    getEstimate() {
+        if (!this.samples.length) {
+            return null;
+        }
+
+        let bytes = 0;
+        let durationMs = 0;
+        for (const sample of this.samples) {
+            bytes += sample.bytes;
+            durationMs += sample.durationMs;
+        }
+
+        return Math.round(bytes * 8 / (durationMs / 1000));
+    }
+
+    /**
+     * @returns {?number} Max streaming bitrate imposed after stalls, null if there is none.
+     */
+    getBitrateCap() {
+        if (this.bitrateCap && Date.now() - this.bitrateCap.time < capLifetime) {
+            return this.bitrateCap.bitrate;
+        }
+
+        return null;
+    }
+
+    onBuffering(isBuffering) {
+        const now = Date.now();
+
+        if (isBuffering) {
+            if (now < this.graceUntil || this.isStalled) {
+                return;
+            }
+
+            this.isStalled = true;
+            this.stallTimeout = setTimeout(() => {
+                console.log("Playback stalled for " + longStallDuration + "ms");
+                this.downgrade();
+            }, longStallDuration);
+            return;
+        }
+
+        if (!this.isStalled) {
+            return;
+        }
+
+        this.isStalled = false;
+        clearTimeout(this.stallTimeout);
+        this.stallTimeout = null;
+
+        this.stalls = this.stalls.filter((time) => now - time < stallWindow);
+        this.stalls.push(now);
+
+        if (this.stalls.length >= maxStalls) {
+            console.log("Playback stalled " + this.stalls.length + " times within " + stallWindow + "ms");
+            this.downgrade();
+        }
+    }
+
+    /**
+     * Lower the max streaming bitrate below the current stream and the measured throughput.
+     */
+    downgrade() {
+        this.reset();
+
+        const mediaSource = $scope.mediaSource;
+        const currentBitrate = this.getBitrateCap() || (mediaSource && mediaSource.Bitrate) || null;
+        const estimate = this.getEstimate();
+
+        const candidates = [];
+        if (currentBitrate) {
+            candidates.push(currentBitrate * downgradeFactor);
+        }
+        if (estimate) {
+            candidates.push(estimate * downgradeFactor);
+        }
+
+        if (!candidates.length) {
+            console.log("Not lowering bitrate, neither stream bitrate nor throughput are known");
+            return;
+        }
+
+        const bitrate = Math.max(minBitrate, Math.round(Math.min.apply(null, candidates)));
+        if (currentBitrate && bitrate >= currentBitrate) {
+            console.log("Not lowering bitrate, already streaming at " + currentBitrate);
+            return;
+        }
+
+        console.log("Lowering max streaming bitrate to " + bitrate);
+        this.bitrateCap = {
+            bitrate: bitrate,
+            time: Date.now()
+        };
+
+        this.broadcast(true);
+        this.onDowngrade();
+    }
+
+    /**
+     * Tell the sender about the measured bandwidth.
+     * @param {boolean} force Send even if the last update was sent recently.
+     */
+    broadcast(force) {
+        const now = Date.now();
+        if (!force && now - this.lastBroadcast < broadcastInterval) {
+            return;
+        }
+
+        this.lastBroadcast = now;
+        broadcastToMessageBus({
+            type: "bandwidthchange",
+            data: {
+                EstimatedBitrate: this.getEstimate(),
+                MaxStreamingBitrate: this.getBitrateCap()
+            }
+        });
+    }
+
+    /**
+     * Forget about past stalls, e.g. when a new stream was loaded.
+     */
+    reset() {
+        clearTimeout(this.stallTimeout);
+        this.stallTimeout = null;
+        this.isStalled = false;
+        this.stalls = [];
+    }
+}
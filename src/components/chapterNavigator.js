@@ -0,0 +1,157 @@
+import { deviceIds, getActiveDeviceId } from "./castDevices";
+import {
+    getUrl,
+    getItemServer,
+    getCurrentPositionTicks,
+    getDisplayRunningTime
+} from "../helpers";
+
+/**
+ * Time the chapter name stays on screen after jumping.
+ */
+const toastDuration = 3000;
+
+/**
+ * Going to the previous chapter further into a chapter than this restarts the chapter instead,
+ * like the previous button of a disc player.
+ */
+const restartThreshold = 30000000;
+
+/**
+ * Jumps between the chapters of the playing item.
+ *
+ * Jumps go through the seek of the receiver, so they restart the transcode when
+ * the player can't seek on its own. On touch screens the chapters are shown as
+ * a strip of images while playback is paused, tapping one jumps to it.
+ */
+export class chapterNavigator {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     * @param {function(number)} seek Called with the position to seek to, in ticks.
+     */
+    constructor(playerManager, seek) {
+        this.playerManager = playerManager;
+        this.seek = seek;
+        this.toastTimeout = null;
+        this.isTouchScreen = getActiveDeviceId() === deviceIds.NESTHUB;
+
+        this.toast = document.querySelector(".chapterToast");
+        this.strip = document.querySelector(".chapterStrip");
+
+        if (this.isTouchScreen) {
+            const EventType = cast.framework.events.EventType;
+
+            playerManager.addEventListener(EventType.PAUSE, () => this.showStrip());
+            playerManager.addEventListener(EventType.PLAY, () => this.hideStrip());
+            playerManager.addEventListener(EventType.MEDIA_FINISHED, () => this.hideStrip());
+        }
+    }
+
+    /**
+     * @returns {Object[]} Chapters of the playing item.
+     */
+    getChapters() {
+        return ($scope.item && $scope.item.Chapters) || [];
+    }
+
+    /**
+     * @returns {number} Index of the chapter playback is in, -1 before the first one.
+     */
+    getCurrentIndex() {
+        const positionTicks = getCurrentPositionTicks($scope);
+        const chapters = this.getChapters();
+
+        let index = -1;
+        chapters.forEach((chapter, i) => {
+            if (chapter.StartPositionTicks <= positionTicks) {
+                index = i;
+            }
+        });
+
+        return index;
+    }
+
+    next() {
+        const index = this.getCurrentIndex();
+        if (index + 1 < this.getChapters().length) {
+            this.goTo(index + 1);
+        }
+    }
+
+    previous() {
+        const chapters = this.getChapters();
+        const index = this.getCurrentIndex();
+        if (index === -1) {
+            return;
+        }
+
+        const intoChapter = getCurrentPositionTicks($scope) - chapters[index].StartPositionTicks;
+        this.goTo(intoChapter > restartThreshold || index === 0 ? index : index - 1);
+    }
+
+    /**
+     * @param {number} index Index of the chapter to jump to.
+     */
+    goTo(index) {
+        const chapter = this.getChapters()[index];
+        if (!chapter) {
+            console.log("Not jumping to chapter " + index + ", the item has no such chapter");
+            return;
+        }
+
+        this.seek(chapter.StartPositionTicks);
+        this.showToast(index, chapter);
+        this.hideStrip();
+    }
+
+    /**
+     * @param {number} index Index of the chapter jumped to.
+     * @param {Object} chapter The chapter.
+     */
+    showToast(index, chapter) {
+        this.toast.textContent = chapter.Name || "Chapter " + (index + 1);
+        this.toast.classList.remove("hide");
+
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => this.toast.classList.add("hide"), toastDuration);
+    }
+
+    showStrip() {
+        const chapters = this.getChapters();
+        if (!chapters.length) {
+            return;
+        }
+
+        const item = $scope.item;
+        const server = getItemServer($scope);
+        const currentIndex = this.getCurrentIndex();
+
+        this.strip.innerHTML = "";
+        chapters.forEach((chapter, index) => {
+            const card = document.createElement("div");
+            card.className = index === currentIndex ? "chapterCard current" : "chapterCard";
+
+            const image = document.createElement("div");
+            image.className = "chapterCardImage";
+            if (chapter.ImageTag) {
+                image.style.backgroundImage = "url(" + getUrl(server.serverAddress, "Items/" + item.Id + "/Images/Chapter/" + index + "?maxWidth=320&tag=" + chapter.ImageTag) + ")";
+            }
+            card.appendChild(image);
+
+            const name = document.createElement("div");
+            name.className = "chapterCardName";
+            name.textContent = (chapter.Name || "Chapter " + (index + 1)) + "  " + getDisplayRunningTime(chapter.StartPositionTicks);
+            card.appendChild(name);
+
+            card.addEventListener("click", () => this.goTo(index));
+            this.strip.appendChild(card);
+        });
+
+        this.strip.classList.remove("hide");
+    }
+
+    hideStrip() {
+        this.strip.classList.add("hide");
+        this.strip.innerHTML = "";
+    }
+}
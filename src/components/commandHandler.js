@@ -2,9 +2,22 @@ import {
     translateItems,
     shuffle,
     instantMix,
+    changeChannel,
     setAudioStreamIndex,
     setSubtitleStreamIndex,
-    seek
+    seek,
+    jumpToLive,
+    toggleGuide,
+    recordProgram,
+    answerResumePrompt,
+    skipSegment,
+    changeChapter,
+    goToChapter,
+    removeFromPlaylist,
+    movePlaylistItem,
+    clearPlaylist,
+    playIndex,
+    setShuffleMode
 } from "./maincontroller";
 
 import { getReportingParams } from "../helpers";
@@ -23,8 +36,14 @@ export class commandHandler {
             Shuffle: this.shuffleHandler,
             InstantMix: this.instantMixHandler,
             DisplayContent: this.displayContentHandler,
+            ChannelUp: this.channelUpHandler,
+            ChannelDown: this.channelDownHandler,
             NextTrack: this.nextTrackHandler,
             PreviousTrack: this.previousTrackHandler,
+            RemoveFromPlaylist: this.removeFromPlaylistHandler,
+            MovePlaylistItem: this.movePlaylistItemHandler,
+            ClearPlaylist: this.clearPlaylistHandler,
+            PlayIndex: this.playIndexHandler,
             SetAudioStreamIndex: this.setAudioStreamIndexHandler,
             SetSubtitleStreamIndex: this.setSubtitleStreamIndexHandler,
             VolumeUp: this.VolumeUpHandler,
@@ -33,12 +52,22 @@ export class commandHandler {
             Identify: this.IdentifyHandler,
             SetVolume: this.SetVolumeHandler,
             Seek: this.SeekHandler,
+            JumpToLive: this.jumpToLiveHandler,
+            ShowGuide: this.showGuideHandler,
+            HideGuide: this.hideGuideHandler,
+            RecordProgram: this.recordProgramHandler,
+            AnswerResumePrompt: this.answerResumePromptHandler,
+            SkipSegment: this.skipSegmentHandler,
+            NextChapter: this.nextChapterHandler,
+            PreviousChapter: this.previousChapterHandler,
+            GoToChapter: this.goToChapterHandler,
             Mute: this.MuteHandler,
             Unmute: this.MuteHandler,
             Stop: this.StopHandler,
             PlayPause: this.PlayPauseHandler,
             Pause: this.PauseHandler,
             SetRepeatMode: this.SetRepeatModeHandler,
+            SetShuffleMode: this.SetShuffleModeHandler,
             Unpause: this.UnpauseHandler
         };
     }
@@ -77,12 +106,36 @@ export class commandHandler {
         }
     }
 
+    removeFromPlaylistHandler(data) {
+        removeFromPlaylist(data.options.PlaylistItemIds);
+    }
+
+    movePlaylistItemHandler(data) {
+        movePlaylistItem(data.options.PlaylistItemId, data.options.NewIndex);
+    }
+
+    clearPlaylistHandler() {
+        clearPlaylist();
+    }
+
+    playIndexHandler(data) {
+        playIndex(data.options.index);
+    }
+
+    channelUpHandler(data) {
+        changeChannel(data, 1);
+    }
+
+    channelDownHandler(data) {
+        changeChannel(data, -1);
+    }
+
     setAudioStreamIndexHandler(data) {
         setAudioStreamIndex($scope, data.options.index);
     }
 
     setSubtitleStreamIndexHandler(data) {
-        setSubtitleStreamIndex($scope, data.options.index, data.serverAddress);
+        setSubtitleStreamIndex($scope, data.options.index);
     }
 
     // VolumeUp, VolumeDown and ToggleMute commands seem to be handled on the sender in the current implementation.
@@ -118,6 +171,42 @@ export class commandHandler {
         seek(data.options.position * 10000000);
     }
 
+    jumpToLiveHandler() {
+        jumpToLive();
+    }
+
+    showGuideHandler() {
+        toggleGuide(true);
+    }
+
+    hideGuideHandler() {
+        toggleGuide(false);
+    }
+
+    recordProgramHandler(data) {
+        recordProgram(data.options.ProgramId);
+    }
+
+    answerResumePromptHandler(data) {
+        answerResumePrompt(!!data.options.Resume);
+    }
+
+    skipSegmentHandler() {
+        skipSegment();
+    }
+
+    nextChapterHandler() {
+        changeChapter(1);
+    }
+
+    previousChapterHandler() {
+        changeChapter(-1);
+    }
+
+    goToChapterHandler(data) {
+        goToChapter(parseInt(data.options.index));
+    }
+
     MuteHandler() {
         this.castContext.setSystemVolumeMuted(true);
     }
@@ -147,6 +236,10 @@ export class commandHandler {
         window.reportEventType = 'repeatmodechange';
     }
 
+    SetShuffleModeHandler(data) {
+        setShuffleMode(data.options.ShuffleMode);
+    }
+
     UnpauseHandler() {
         this.playerManager.play();
     }
@@ -0,0 +1,126 @@
+/**
+ * Fades out the end of an item and fades in the start of the next one.
+ *
+ * The player plays one stream at a time, so the items don't overlap: the volume
+ * goes down over the last seconds of an item and back up over the first seconds
+ * of the next. Only transitions to an item of another album fade, tracks of the
+ * same album are meant to flow into each other and stay gapless.
+ */
+export class crossfade {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     * @param {function(): ?Object} getNextItem Returns the item queued to play next, if any.
+     */
+    constructor(playerManager, getNextItem) {
+        this.playerManager = playerManager;
+        this.getNextItem = getNextItem;
+
+        this.duration = 0;
+        this.fadingOut = false;
+        this.fadingIn = false;
+        this.isSwitching = false;
+
+        const EventType = cast.framework.events.EventType;
+
+        playerManager.addEventListener(EventType.TIME_UPDATE, () => this.onTimeUpdate());
+        playerManager.addEventListener(EventType.PLAYER_LOAD_COMPLETE, () => {
+            this.fadingIn = this.fadingOut;
+            this.fadingOut = false;
+            this.isSwitching = false;
+            this.onTimeUpdate();
+        });
+        playerManager.addEventListener(EventType.MEDIA_FINISHED, (event) => {
+            // Only items that played to their end lead into the next one
+            if (event.endedReason === cast.framework.events.EndedReason.END_OF_STREAM) {
+                this.isSwitching = this.fadingOut;
+            } else {
+                this.reset();
+            }
+        });
+        playerManager.addEventListener(EventType.ABORT, () => this.reset());
+    }
+
+    /**
+     * @param {number} duration Seconds to fade over, as sent by the sender. 0 turns fading off.
+     */
+    setDuration(duration) {
+        this.duration = Math.max(0, duration || 0);
+        if (!this.duration) {
+            this.reset();
+        }
+    }
+
+    reset() {
+        this.fadingOut = false;
+        this.fadingIn = false;
+        this.isSwitching = false;
+        this.setVolume(1);
+    }
+
+    onTimeUpdate() {
+        // Stay silent until the next item starts
+        if (!this.duration || this.isSwitching) {
+            return;
+        }
+
+        const currentTime = this.playerManager.getCurrentTimeSec();
+
+        if (this.fadingIn) {
+            if (currentTime >= this.duration) {
+                this.fadingIn = false;
+                this.setVolume(1);
+            } else {
+                this.setVolume(currentTime / this.duration);
+            }
+        }
+
+        const remaining = this.playerManager.getDurationSec() - currentTime;
+        if (remaining > this.duration || !this.shouldFade()) {
+            // Seeking back out of the fade, or the next item changed meanwhile
+            if (this.fadingOut) {
+                this.fadingOut = false;
+                this.setVolume(1);
+            }
+            return;
+        }
+
+        this.fadingOut = true;
+        this.setVolume(remaining / this.duration);
+    }
+
+    /**
+     * @returns {boolean} Whether the transition to the next item should fade.
+     */
+    shouldFade() {
+        const item = $scope.item;
+        const nextItem = this.getNextItem();
+        if (!item || !nextItem || item.MediaType !== "Audio") {
+            return false;
+        }
+
+        return !item.AlbumId || item.AlbumId !== nextItem.AlbumId;
+    }
+
+    /**
+     * @param {number} volume Volume of the media element, between 0 and 1.
+     */
+    setVolume(volume) {
+        const mediaElement = getMediaElement();
+        if (!mediaElement) {
+            console.log("Not fading, the media element isn't available");
+            return;
+        }
+
+        mediaElement.volume = Math.min(1, Math.max(0, volume));
+    }
+}
+
+/**
+ * @returns {?HTMLMediaElement} Element the player plays the stream in.
+ */
+function getMediaElement() {
+    const player = window.mediaElement;
+    const root = (player && player.shadowRoot) || document;
+
+    return root.querySelector("video, audio");
+}
@@ -0,0 +1,163 @@
+/**
+ * Machine readable codes of the errors reported to the sender.
+ */
+export const errorCodes = {
+    NETWORK: "NetworkError",
+    TIMEOUT: "Timeout",
+    HTTP: "HttpError",
+    AUTH_EXPIRED: "AuthExpired",
+    SERVER: "ServerError",
+    UNKNOWN: "Unknown"
+};
+
+/**
+ * Error ids returned in PlaybackInfo.ErrorCode that may go away when retrying later.
+ */
+const recoverableServerErrorCodes = ["RateLimitExceeded"];
+
+/**
+ * Error payload sent to the sender in the `error` property of
+ * `connectionerror` and `playbackerror` messages.
+ * @typedef {Object} ErrorPayload
+ * @property {string} code One of errorCodes.
+ * @property {string} message Human readable description, not meant for display.
+ * @property {boolean} recoverable True if repeating the same action may succeed.
+ * @property {number} [status] HTTP status code, for HttpError and AuthExpired.
+ * @property {string} [body] Response body, for HttpError and AuthExpired.
+ * @property {string} [errorCode] PlaybackInfo ErrorCode, for ServerError.
+ */
+
+/**
+ * Base class of all errors that get reported to the sender.
+ */
+export class JellyfinError extends Error {
+    /**
+     * @param {string} code One of errorCodes.
+     * @param {string} message Human readable description.
+     * @param {boolean} recoverable True if repeating the same action may succeed.
+     */
+    constructor(code, message, recoverable) {
+        super(message);
+        this.name = "JellyfinError";
+        this.code = code;
+        this.recoverable = recoverable;
+    }
+
+    /**
+     * @returns {ErrorPayload} Payload describing this error to the sender.
+     */
+    toPayload() {
+        return {
+            code: this.code,
+            message: this.message,
+            recoverable: this.recoverable
+        };
+    }
+}
+
+/**
+ * The server could not be reached at all.
+ */
+export class NetworkError extends JellyfinError {
+    constructor(url, cause) {
+        super(errorCodes.NETWORK, "Request to " + url + " failed" + (cause && cause.message ? ": " + cause.message : ""), true);
+        this.name = "NetworkError";
+        this.url = url;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The server did not answer in time.
+ */
+export class TimeoutError extends JellyfinError {
+    constructor(url, timeoutMs) {
+        super(errorCodes.TIMEOUT, "Request to " + url + " timed out after " + timeoutMs + "ms", true);
+        this.name = "TimeoutError";
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * The server answered with an error status.
+ */
+export class HttpError extends JellyfinError {
+    constructor(url, status, body, code = errorCodes.HTTP) {
+        super(code, "Request to " + url + " failed with status " + status, status === 408 || status === 429 || status >= 500);
+        this.name = "HttpError";
+        this.url = url;
+        this.status = status;
+        this.body = body;
+    }
+
+    toPayload() {
+        return Object.assign(super.toPayload(), {
+            status: this.status,
+            body: this.body
+        });
+    }
+}
+
+/**
+ * The access token was rejected, the sender has to authenticate again.
+ */
+export class AuthExpiredError extends HttpError {
+    constructor(url, status, body) {
+        super(url, status, body, errorCodes.AUTH_EXPIRED);
+        this.name = "AuthExpiredError";
+        this.recoverable = false;
+    }
+}
+
+/**
+ * The server refused to play an item, usually through PlaybackInfo.ErrorCode.
+ */
+export class ServerError extends JellyfinError {
+    /**
+     * @param {string} errorCode ErrorCode reported by the server, e.g. NoCompatibleStream.
+     */
+    constructor(errorCode) {
+        super(errorCodes.SERVER, "Server refused playback: " + errorCode, recoverableServerErrorCodes.indexOf(errorCode) !== -1);
+        this.name = "ServerError";
+        this.errorCode = errorCode;
+    }
+
+    toPayload() {
+        return Object.assign(super.toPayload(), {
+            errorCode: this.errorCode
+        });
+    }
+}
+
+/**
+ * Create the error matching a failed response.
+ * @param {string} url Requested url.
+ * @param {number} status HTTP status code of the response.
+ * @param {string} body Response body.
+ * @returns {HttpError} AuthExpiredError for 401 responses, HttpError otherwise.
+ */
+export function createHttpError(url, status, body) {
+    if (status === 401) {
+        return new AuthExpiredError(url, status, body);
+    }
+
+    return new HttpError(url, status, body);
+}
+
+/**
+ * Describe any rejection reason as an error payload.
+ * @param {*} error Error thrown while handling a request.
+ * @returns {ErrorPayload} Payload describing the error.
+ */
+export function toErrorPayload(error) {
+    if (error instanceof JellyfinError) {
+        return error.toPayload();
+    }
+
+    return {
+        code: errorCodes.UNKNOWN,
+        message: error && error.message ? error.message : String(error),
+        recoverable: false
+    };
+}
@@ -1,53 +1,289 @@
-/* eslint-disable */
+import {
+    NetworkError,
+    TimeoutError,
+    createHttpError
+} from "./errors";
 
+/**
+ * HTTP methods that can safely be repeated when a request fails.
+ */
+const idempotentMethods = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+/**
+ * Number of retries for idempotent requests that don't specify their own.
+ */
+const defaultRetries = 2;
+
+/**
+ * Delay before the first retry, doubled on every following attempt.
+ */
+const defaultRetryDelay = 500;
+
+/**
+ * Upper bound for the delay between two attempts.
+ */
+const maxRetryDelay = 8000;
+
+/**
+ * @param {Object} request Request options as passed to ajax.
+ * @returns {Promise<Response>} Promise resolving to the fetch response.
+ */
 export function getFetchPromise(request) {
-    var headers = request.headers || {};
-    "json" === request.dataType && (headers.accept = "application/json");
-    var fetchRequest = {
-            headers: headers,
-            method: request.type,
-            credentials: "same-origin"
-        },
-        contentType = request.contentType;
-    request.data && ("string" == typeof request.data ? fetchRequest.body = request.data : (fetchRequest.body = paramsToString(request.data), contentType = contentType || "application/x-www-form-urlencoded; charset=UTF-8")), contentType && (headers["Content-Type"] = contentType);
-    var url = request.url;
+    // Copied, the headers of the caller may be shared with other requests
+    const headers = Object.assign({}, request.headers);
+    if (request.dataType === "json") {
+        headers.accept = "application/json";
+    }
+
+    const fetchRequest = {
+        headers: headers,
+        method: request.type,
+        credentials: "same-origin"
+    };
+
+    if (request.signal) {
+        fetchRequest.signal = request.signal;
+    }
+
+    if (request.keepalive) {
+        fetchRequest.keepalive = true;
+    }
+
+    let contentType = request.contentType;
+    if (request.data) {
+        if (typeof request.data === "string") {
+            fetchRequest.body = request.data;
+        } else {
+            fetchRequest.body = paramsToString(request.data);
+            contentType = contentType || "application/x-www-form-urlencoded; charset=UTF-8";
+        }
+    }
+
+    if (contentType) {
+        headers["Content-Type"] = contentType;
+    }
+
+    let url = request.url;
     if (request.query) {
-        var paramString = paramsToString(request.query);
-        paramString && (url += "?" + paramString)
+        const paramString = paramsToString(request.query);
+        if (paramString) {
+            url += "?" + paramString;
+        }
     }
-    return request.timeout ? fetchWithTimeout(url, fetchRequest, request.timeout) : fetch(url, fetchRequest)
+
+    return request.timeout ? fetchWithTimeout(url, fetchRequest, request.timeout) : fetch(url, fetchRequest);
 }
 
+/**
+ * Fetch a url, aborting the request if it takes longer than the given timeout.
+ * An abort signal passed in the options still cancels the request as well.
+ * @param {string} url Url to fetch.
+ * @param {Object} options Fetch options.
+ * @param {number} timeoutMs Timeout in milliseconds.
+ * @returns {Promise<Response>} Promise resolving to the fetch response.
+ */
 export function fetchWithTimeout(url, options, timeoutMs) {
-    return console.log("fetchWithTimeout: timeoutMs: " + timeoutMs + ", url: " + url), new Promise(function (resolve, reject) {
-        var timeout = setTimeout(reject, timeoutMs);
-        options = options || {}, options.credentials = "same-origin", fetch(url, options).then(function (response) {
-            clearTimeout(timeout), console.log("fetchWithTimeout: succeeded connecting to url: " + url), resolve(response)
-        }, function (error) {
-            clearTimeout(timeout), console.log("fetchWithTimeout: timed out connecting to url: " + url), reject()
-        })
-    })
+    console.log("fetchWithTimeout: timeoutMs: " + timeoutMs + ", url: " + url);
+
+    options = options || {};
+
+    const controller = new AbortController();
+    const parentSignal = options.signal;
+    const onParentAbort = () => controller.abort();
+
+    if (parentSignal) {
+        if (parentSignal.aborted) {
+            controller.abort();
+        } else {
+            parentSignal.addEventListener("abort", onParentAbort);
+        }
+    }
+
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+
+    const fetchOptions = Object.assign({}, options, {
+        credentials: "same-origin",
+        signal: controller.signal
+    });
+
+    return fetch(url, fetchOptions).then((response) => {
+        console.log("fetchWithTimeout: succeeded connecting to url: " + url);
+        return response;
+    }, (error) => {
+        if (timedOut) {
+            console.log("fetchWithTimeout: timed out connecting to url: " + url);
+            throw new TimeoutError(url, timeoutMs);
+        }
+
+        throw error;
+    }).finally(() => {
+        clearTimeout(timeout);
+        if (parentSignal) {
+            parentSignal.removeEventListener("abort", onParentAbort);
+        }
+    });
 }
 
 export function paramsToString(params) {
-    var values = [];
-    for (var key in params) {
-        var value = params[key];
-        null !== value && void 0 !== value && "" !== value && values.push(encodeURIComponent(key) + "=" + encodeURIComponent(value))
+    const values = [];
+    for (const key in params) {
+        const value = params[key];
+        if (value !== null && value !== undefined && value !== "") {
+            values.push(encodeURIComponent(key) + "=" + encodeURIComponent(value));
+        }
+    }
+    return values.join("&");
+}
+
+/**
+ * @param {*} error Rejection reason of a request.
+ * @returns {boolean} True if the request was cancelled through its abort signal.
+ */
+export function isAbortError(error) {
+    return !!error && error.name === "AbortError";
+}
+
+/**
+ * Get the number of times a failed request should be repeated.
+ * Requests may set `retries` themselves, otherwise only idempotent ones are retried.
+ * @param {Object} request Request options as passed to ajax.
+ * @returns {number} Number of retries.
+ */
+function getRetryCount(request) {
+    if (request.retries != null) {
+        return request.retries;
     }
-    return values.join("&")
+
+    const method = (request.type || "GET").toUpperCase();
+    return idempotentMethods.indexOf(method) !== -1 ? defaultRetries : 0;
+}
+
+/**
+ * @param {number} status HTTP status code.
+ * @returns {boolean} True if the status indicates a transient server problem.
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Read the body of a failed response so it can be passed on with the error.
+ * @param {Response} response Failed response.
+ * @returns {Promise<string>} Promise resolving to the body, empty if it can't be read.
+ */
+function readErrorBody(response) {
+    return response.text().catch(() => "");
 }
 
+/**
+ * Wait before the next attempt, giving up early if the request gets cancelled.
+ * @param {Object} request Request options as passed to ajax.
+ * @param {number} attempt Zero based number of the attempt that failed.
+ * @returns {Promise} Promise resolving once the backoff delay has passed.
+ */
+function waitForRetry(request, attempt) {
+    const baseDelay = request.retryDelay != null ? request.retryDelay : defaultRetryDelay;
+    const delay = Math.min(baseDelay * Math.pow(2, attempt), maxRetryDelay);
+    const signal = request.signal;
+
+    console.log("retrying url in " + delay + "ms: " + request.url);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new DOMException("The request was aborted", "AbortError"));
+        };
+        const timeout = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            resolve();
+        }, delay);
+
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener("abort", onAbort);
+            }
+        }
+    });
+}
+
+function parseResponse(request, response) {
+    const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
+
+    if (request.dataType === "json" || contentType.indexOf("application/json") === 0) {
+        // Requests answered with 204 No Content or an otherwise empty body have nothing to parse
+        return response.text().then((text) => text ? JSON.parse(text) : null);
+    }
+
+    if (request.dataType === "text" || contentType.indexOf("text/") === 0) {
+        return response.text();
+    }
+
+    return response;
+}
+
+function sendRequest(request, attempt, retries) {
+    console.log("requesting url: " + request.url);
+
+    return getFetchPromise(request).then((response) => {
+        console.log("response status: " + response.status + ", url: " + request.url);
+
+        if (response.status < 400) {
+            return parseResponse(request, response);
+        }
+
+        if (attempt < retries && isRetryableStatus(response.status)) {
+            return waitForRetry(request, attempt).then(() => sendRequest(request, attempt + 1, retries));
+        }
+
+        return readErrorBody(response).then((body) => {
+            throw createHttpError(request.url, response.status, body);
+        });
+    }, (error) => {
+        console.log("request failed to url: " + request.url);
+
+        if (isAbortError(error)) {
+            throw error;
+        }
+
+        if (attempt < retries) {
+            return waitForRetry(request, attempt).then(() => sendRequest(request, attempt + 1, retries));
+        }
+
+        throw error instanceof TimeoutError ? error : new NetworkError(request.url, error);
+    });
+}
+
+/**
+ * Send a request to the server.
+ * @param {Object} request Request options.
+ * @param {string} request.url Url to request.
+ * @param {string} [request.type=GET] HTTP method.
+ * @param {AbortSignal} [request.signal] Signal used to cancel the request, including pending retries.
+ * @param {number} [request.timeout] Timeout of a single attempt in milliseconds.
+ * @param {number} [request.retries] Number of retries, defaults to 2 for idempotent methods and 0 otherwise.
+ * @param {number} [request.retryDelay=500] Delay before the first retry, doubled on every attempt.
+ * @returns {Promise} Promise resolving to the parsed response. It rejects with a NetworkError,
+ * TimeoutError, HttpError or AuthExpiredError, or with an AbortError if the request was cancelled.
+ */
 export function ajax(request) {
-    if (!request) throw new Error("Request cannot be null");
-    return request.headers = request.headers || {}, console.log("requesting url: " + request.url), getFetchPromise(request).then(function (response) {
-        return console.log("response status: " + response.status + ", url: " + request.url), response.status < 400 ? "json" === request.dataType || "application/json" === request.headers.accept ? response.json() : "text" === request.dataType || 0 === (response.headers.get("Content-Type") || "").toLowerCase().indexOf("text/") ? response.text() : response : Promise.reject(response)
-    }, function (err) {
-        throw console.log("request failed to url: " + request.url), err
-    })
+    if (!request) {
+        throw new Error("Request cannot be null");
+    }
+
+    request.headers = request.headers || {};
+
+    return sendRequest(request, 0, getRetryCount(request));
 }
 
 export default {
     getFetchPromise,
     ajax
-}
\ No newline at end of file
+};
@@ -0,0 +1,277 @@
+import { ajax } from "./fetchhelper";
+import { deviceIds, getActiveDeviceId } from "./castDevices";
+import {
+    getUrl,
+    getSecurityHeaders,
+    getBackdropUrl,
+    getDisplayName,
+    getUser,
+    tagItems
+} from "../helpers";
+
+/**
+ * Number of cards shown in each row.
+ */
+const rowSize = 12;
+
+/**
+ * Fields the cards need on top of the ones returned by default.
+ */
+const itemFields = "PrimaryImageAspectRatio,BasicSyncInfo";
+
+/**
+ * Rows of the user's library shown on the waiting screen:
+ * what they are in the middle of, the next episodes of their shows
+ * and what was added lately. On touch screens a card can be tapped to play it.
+ */
+export class homeScreen {
+    constructor() {
+        this.server = null;
+        this.generation = 0;
+        this.playHandler = null;
+        this.isTouchScreen = getActiveDeviceId() === deviceIds.NESTHUB;
+
+        this.container = document.getElementById("waiting-container");
+        this.userElement = this.container.querySelector(".homeUser");
+        this.sectionsElement = this.container.querySelector(".homeSections");
+    }
+
+    /**
+     * @param {function(Object)} handler Called with the playback options of a tapped card.
+     */
+    setPlayHandler(handler) {
+        this.playHandler = handler;
+    }
+
+    /**
+     * Show the home screen of a user.
+     * @param {Object} server Server of the user, holding serverAddress, accessToken and userId.
+     */
+    show(server) {
+        this.hide();
+
+        this.server = server;
+        const generation = this.generation;
+
+        const requests = [
+            getUser(server.serverAddress, server.accessToken, server.userId),
+            this.getResumeItems(),
+            this.getNextUpItems(),
+            this.getLatestItems()
+        ].map((promise) => promise.catch((err) => {
+            // A row failing to load shouldn't take the others down with it
+            console.log("Loading home screen section failed: " + err);
+            return null;
+        }));
+
+        return Promise.all(requests).then(([user, resumeItems, nextUpItems, latestItems]) => {
+            // Playback started or another user connected in the meantime
+            if (generation !== this.generation) {
+                return;
+            }
+
+            this.renderUser(user);
+            this.renderSection("Continue Watching", resumeItems, true);
+            this.renderSection("Next Up", nextUpItems, false);
+            this.renderSection("Latest Media", latestItems, false);
+
+            this.container.classList.toggle("withHome", !!this.sectionsElement.children.length);
+        });
+    }
+
+    hide() {
+        // Responses still pending for the previous user are ignored once they return
+        this.generation++;
+        this.server = null;
+
+        this.userElement.innerHTML = "";
+        this.sectionsElement.innerHTML = "";
+        this.container.classList.remove("withHome");
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Promise resolving to the items the user can resume.
+     */
+    getResumeItems() {
+        const server = this.server;
+
+        return ajax({
+            url: getUrl(server.serverAddress, "Users/" + server.userId + "/Items/Resume"),
+            headers: getSecurityHeaders(server.accessToken, server.userId),
+            dataType: "json",
+            type: "GET",
+            query: {
+                Limit: rowSize,
+                Recursive: true,
+                MediaTypes: "Video",
+                Fields: itemFields
+            }
+        }).then((result) => result.Items);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Promise resolving to the next episodes of the shows the user watches.
+     */
+    getNextUpItems() {
+        const server = this.server;
+
+        return ajax({
+            url: getUrl(server.serverAddress, "Shows/NextUp"),
+            headers: getSecurityHeaders(server.accessToken, server.userId),
+            dataType: "json",
+            type: "GET",
+            query: {
+                UserId: server.userId,
+                Limit: rowSize,
+                Fields: itemFields
+            }
+        }).then((result) => result.Items);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} Promise resolving to the items added lately.
+     */
+    getLatestItems() {
+        const server = this.server;
+
+        // Unlike the other queries, this one answers with a plain array
+        return ajax({
+            url: getUrl(server.serverAddress, "Users/" + server.userId + "/Items/Latest"),
+            headers: getSecurityHeaders(server.accessToken, server.userId),
+            dataType: "json",
+            type: "GET",
+            query: {
+                Limit: rowSize,
+                Fields: itemFields
+            }
+        });
+    }
+
+    /**
+     * @param {?Object} user User returned by the server, null if it couldn't be loaded.
+     */
+    renderUser(user) {
+        if (!user) {
+            return;
+        }
+
+        if (user.PrimaryImageTag) {
+            const image = document.createElement("div");
+            image.className = "homeUserImage";
+            image.style.backgroundImage = "url(" + getUrl(this.server.serverAddress, "Users/" + user.Id + "/Images/Primary?tag=" + user.PrimaryImageTag) + ")";
+            this.userElement.appendChild(image);
+        }
+
+        const name = document.createElement("span");
+        name.className = "homeUserName";
+        name.textContent = user.Name;
+        this.userElement.appendChild(name);
+    }
+
+    /**
+     * @param {string} title Title of the row.
+     * @param {?Object[]} items Items of the row, nothing is shown without any.
+     * @param {boolean} isResume Whether tapping a card resumes the item where it was left.
+     */
+    renderSection(title, items, isResume) {
+        if (!items || !items.length) {
+            return;
+        }
+
+        tagItems(items, this.server);
+
+        const section = document.createElement("div");
+        section.className = "homeSection";
+
+        const header = document.createElement("h3");
+        header.textContent = title;
+        section.appendChild(header);
+
+        const row = document.createElement("div");
+        row.className = "homeRow";
+        for (const item of items) {
+            row.appendChild(this.createCard(item, isResume));
+        }
+        section.appendChild(row);
+
+        this.sectionsElement.appendChild(section);
+    }
+
+    /**
+     * @param {Object} item Item shown by the card.
+     * @param {boolean} isResume Whether tapping the card resumes the item where it was left.
+     * @returns {HTMLElement} The card.
+     */
+    createCard(item, isResume) {
+        const card = document.createElement("div");
+        card.className = "homeCard";
+
+        const image = document.createElement("div");
+        image.className = "homeCardImage";
+        const imageUrl = getCardImageUrl(item, this.server.serverAddress);
+        if (imageUrl) {
+            image.style.backgroundImage = "url(" + imageUrl + ")";
+        }
+        card.appendChild(image);
+
+        const userData = item.UserData || {};
+        if (isResume && userData.PlayedPercentage) {
+            const progress = document.createElement("div");
+            progress.className = "homeCardProgress";
+            progress.style.width = userData.PlayedPercentage + "%";
+            image.appendChild(progress);
+        }
+
+        const name = document.createElement("div");
+        name.className = "homeCardName";
+        name.textContent = getDisplayName(item);
+        card.appendChild(name);
+
+        if (this.isTouchScreen) {
+            card.addEventListener("click", () => this.play(item, isResume ? userData.PlaybackPositionTicks : 0));
+        }
+
+        return card;
+    }
+
+    /**
+     * @param {Object} item Tapped item, tagged with its server.
+     * @param {number} startPositionTicks Position to start at.
+     */
+    play(item, startPositionTicks) {
+        if (!this.playHandler) {
+            return;
+        }
+
+        this.playHandler({
+            items: [item],
+            startPositionTicks: startPositionTicks || 0
+        });
+    }
+}
+
+/**
+ * @param {Object} item Item shown by the card.
+ * @param {string} serverAddress Address of the item's server.
+ * @returns {?string} Url of a landscape image of the item, or of its show.
+ */
+function getCardImageUrl(item, serverAddress) {
+    if (item.ImageTags && item.ImageTags.Thumb) {
+        return getUrl(serverAddress, "Items/" + item.Id + "/Images/Thumb?tag=" + item.ImageTags.Thumb);
+    }
+
+    if (item.ParentThumbItemId && item.ParentThumbImageTag) {
+        return getUrl(serverAddress, "Items/" + item.ParentThumbItemId + "/Images/Thumb?tag=" + item.ParentThumbImageTag);
+    }
+
+    const backdropUrl = getBackdropUrl(item, serverAddress);
+    if (backdropUrl) {
+        return backdropUrl;
+    }
+
+    if (item.ImageTags && item.ImageTags.Primary) {
+        return getUrl(serverAddress, "Items/" + item.Id + "/Images/Primary?tag=" + item.ImageTags.Primary);
+    }
+
+    return null;
+}
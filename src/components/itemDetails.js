@@ -0,0 +1,315 @@
+import { ajax } from "./fetchhelper";
+import {
+    getUrl,
+    getSecurityHeaders,
+    getDisplayRunningTime
+} from "../helpers";
+
+/**
+ * Maximum number of people shown, the cast of a show can run into the hundreds.
+ */
+const maxPeople = 20;
+
+/**
+ * Extended information shown on the details screen below the overview:
+ * cast and crew, studios, media info of each version, chapters and the
+ * children of seasons, series and albums.
+ */
+export class itemDetails {
+    constructor() {
+        this.generation = 0;
+        this.container = document.querySelector(".detailExtras");
+        this.tagline = document.querySelector(".tagline");
+    }
+
+    /**
+     * @param {Object} server Server of the item, holding serverAddress, accessToken and userId.
+     * @param {Object} item Item to show the details of.
+     */
+    show(server, item) {
+        this.clear();
+
+        const generation = this.generation;
+
+        const tagline = item.Taglines && item.Taglines[0];
+        this.tagline.textContent = tagline || "";
+        this.tagline.classList.toggle("hide", !tagline);
+
+        this.renderStudios(item);
+        this.renderPeople(server, item);
+        this.renderMediaInfo(item);
+        this.renderChapters(server, item);
+
+        return this.getChildren(server, item).then((children) => {
+            if (generation === this.generation) {
+                this.renderChildren(server, item, children);
+            }
+        }, (err) => {
+            console.log("Loading children of " + item.Id + " failed: " + err);
+        });
+    }
+
+    clear() {
+        // Children still loading for the previous item are ignored once they return
+        this.generation++;
+
+        this.container.innerHTML = "";
+        this.tagline.textContent = "";
+        this.tagline.classList.add("hide");
+    }
+
+    /**
+     * @param {Object} item Item to show the studios of.
+     */
+    renderStudios(item) {
+        if (!item.Studios || !item.Studios.length) {
+            return;
+        }
+
+        const studios = item.Studios.map((studio) => studio.Name).join(" / ");
+        this.addSection("Studios").appendChild(createText("p", "detailStudios", studios));
+    }
+
+    /**
+     * @param {Object} server Server of the item.
+     * @param {Object} item Item to show the cast and crew of.
+     */
+    renderPeople(server, item) {
+        if (!item.People || !item.People.length) {
+            return;
+        }
+
+        const row = createElement("div", "detailRow");
+        for (const person of item.People.slice(0, maxPeople)) {
+            const imageUrl = person.PrimaryImageTag ?
+                getUrl(server.serverAddress, "Items/" + person.Id + "/Images/Primary?maxHeight=200&tag=" + person.PrimaryImageTag) :
+                null;
+
+            row.appendChild(createCard("detailPersonCard", imageUrl, person.Name, person.Role || person.Type));
+        }
+
+        this.addSection("Cast & Crew").appendChild(row);
+    }
+
+    /**
+     * Resolution, dynamic range and audio format of each version of the item.
+     * @param {Object} item Item to show the media info of.
+     */
+    renderMediaInfo(item) {
+        const mediaSources = item.MediaSources || [];
+        if (!mediaSources.length) {
+            return;
+        }
+
+        const section = this.addSection("Media Info");
+        for (const mediaSource of mediaSources) {
+            const streams = mediaSource.MediaStreams || [];
+            const videoStream = streams.find((stream) => stream.Type === "Video");
+            const audioStream = streams.find((stream) => stream.Type === "Audio" && stream.Index === mediaSource.DefaultAudioStreamIndex) ||
+                streams.find((stream) => stream.Type === "Audio");
+
+            const info = [];
+            if (videoStream) {
+                info.push(getResolutionName(videoStream));
+                info.push(videoStream.VideoRangeType && videoStream.VideoRangeType !== "SDR" ? videoStream.VideoRangeType : videoStream.VideoRange);
+                info.push(videoStream.Codec && videoStream.Codec.toUpperCase());
+            }
+            if (audioStream) {
+                info.push(audioStream.Profile || (audioStream.Codec && audioStream.Codec.toUpperCase()));
+                info.push(audioStream.ChannelLayout || (audioStream.Channels && audioStream.Channels + " ch"));
+            }
+
+            let text = info.filter((value) => value).join("  ·  ");
+            if (mediaSources.length > 1 && mediaSource.Name) {
+                text = mediaSource.Name + ":  " + text;
+            }
+
+            section.appendChild(createText("p", "detailMediaInfo", text));
+        }
+    }
+
+    /**
+     * @param {Object} server Server of the item.
+     * @param {Object} item Item to show the chapters of.
+     */
+    renderChapters(server, item) {
+        if (!item.Chapters || !item.Chapters.length) {
+            return;
+        }
+
+        const row = createElement("div", "detailRow");
+        item.Chapters.forEach((chapter, index) => {
+            const imageUrl = chapter.ImageTag ?
+                getUrl(server.serverAddress, "Items/" + item.Id + "/Images/Chapter/" + index + "?maxWidth=400&tag=" + chapter.ImageTag) :
+                null;
+
+            row.appendChild(createCard("detailChapterCard", imageUrl, chapter.Name, getDisplayRunningTime(chapter.StartPositionTicks)));
+        });
+
+        this.addSection("Chapters").appendChild(row);
+    }
+
+    /**
+     * @param {Object} server Server of the item.
+     * @param {Object} item Item to get the children of.
+     * @returns {Promise<Object[]>} Promise resolving to the seasons of a series, the episodes of a season,
+     * the tracks of an album or nothing for other items.
+     */
+    getChildren(server, item) {
+        let url;
+        let query;
+
+        switch (item.Type) {
+            case "Series":
+                url = "Shows/" + item.Id + "/Seasons";
+                query = {
+                    UserId: server.userId
+                };
+                break;
+            case "Season":
+                url = "Shows/" + item.SeriesId + "/Episodes";
+                query = {
+                    UserId: server.userId,
+                    SeasonId: item.Id,
+                    Fields: "Overview"
+                };
+                break;
+            case "MusicAlbum":
+                url = "Users/" + server.userId + "/Items";
+                query = {
+                    ParentId: item.Id,
+                    IncludeItemTypes: "Audio",
+                    Recursive: true,
+                    SortBy: "ParentIndexNumber,IndexNumber,SortName"
+                };
+                break;
+            default:
+                return Promise.resolve([]);
+        }
+
+        return ajax({
+            url: getUrl(server.serverAddress, url),
+            headers: getSecurityHeaders(server.accessToken, server.userId),
+            dataType: "json",
+            type: "GET",
+            query: query
+        }).then((result) => result.Items);
+    }
+
+    /**
+     * @param {Object} server Server of the item.
+     * @param {Object} item Item the children belong to.
+     * @param {Object[]} children Seasons, episodes or tracks.
+     */
+    renderChildren(server, item, children) {
+        if (!children.length) {
+            return;
+        }
+
+        if (item.Type === "Series") {
+            const row = createElement("div", "detailRow");
+            for (const season of children) {
+                const imageUrl = season.ImageTags && season.ImageTags.Primary ?
+                    getUrl(server.serverAddress, "Items/" + season.Id + "/Images/Primary?maxHeight=300&tag=" + season.ImageTags.Primary) :
+                    null;
+
+                const unplayed = season.UserData && season.UserData.UnplayedItemCount;
+                row.appendChild(createCard("detailSeasonCard", imageUrl, season.Name, unplayed ? unplayed + " unplayed" : ""));
+            }
+
+            this.addSection("Seasons").appendChild(row);
+            return;
+        }
+
+        const list = createElement("ol", "detailTrackList");
+        for (const child of children) {
+            const entry = createElement("li", child.UserData && child.UserData.Played ? "played" : "");
+
+            let name = child.Name;
+            if (child.IndexNumber != null) {
+                name = child.IndexNumber + ".  " + name;
+            }
+            entry.appendChild(createText("span", "detailTrackName", name));
+
+            if (child.RunTimeTicks) {
+                entry.appendChild(createText("span", "detailTrackDuration", getDisplayRunningTime(child.RunTimeTicks)));
+            }
+
+            list.appendChild(entry);
+        }
+
+        this.addSection(item.Type === "Season" ? "Episodes" : "Tracks").appendChild(list);
+    }
+
+    /**
+     * @param {string} title Title of the section.
+     * @returns {HTMLElement} The section to add the content to.
+     */
+    addSection(title) {
+        const section = createElement("div", "detailSection");
+        section.appendChild(createText("h3", "", title));
+        this.container.appendChild(section);
+
+        return section;
+    }
+}
+
+/**
+ * @param {Object} videoStream Video stream of a media source.
+ * @returns {?string} Common name of the resolution, like 1080p.
+ */
+function getResolutionName(videoStream) {
+    const width = videoStream.Width || 0;
+    const height = videoStream.Height || 0;
+
+    // Compare widths as well, movies in wide aspect ratios have a lower height than their resolution suggests
+    if (width >= 3800 || height >= 2000) {
+        return "4K";
+    } else if (width >= 1900 || height >= 1000) {
+        return "1080p";
+    } else if (width >= 1260 || height >= 700) {
+        return "720p";
+    } else if (width || height) {
+        return "SD";
+    }
+
+    return null;
+}
+
+function createElement(tagName, className) {
+    const element = document.createElement(tagName);
+    if (className) {
+        element.className = className;
+    }
+
+    return element;
+}
+
+function createText(tagName, className, text) {
+    const element = createElement(tagName, className);
+    element.textContent = text || "";
+
+    return element;
+}
+
+/**
+ * @param {string} className Class of the card, which decides on its shape.
+ * @param {?string} imageUrl Url of the image of the card.
+ * @param {string} title First line below the image.
+ * @param {string} subtitle Second line below the image.
+ * @returns {HTMLElement} The card.
+ */
+function createCard(className, imageUrl, title, subtitle) {
+    const card = createElement("div", "detailCard " + className);
+
+    const image = createElement("div", "detailCardImage");
+    if (imageUrl) {
+        image.style.backgroundImage = "url(" + imageUrl + ")";
+    }
+    card.appendChild(image);
+
+    card.appendChild(createText("div", "detailCardTitle", title));
+    card.appendChild(createText("div", "detailCardSubtitle", subtitle));
+
+    return card;
+}
@@ -1,11 +1,16 @@
 ﻿/* eslint-disable */
 
 import { ajax } from "./fetchhelper";
+import { reportingQueue } from "./reportingQueue";
+import { backdropSlideshow } from "./backdropSlideshow";
+import { homeScreen } from "./homeScreen";
+import { itemDetails } from "./itemDetails";
 import {
     getUrl,
     getSenderReportingData,
     resetPlaybackScope,
     getSecurityHeaders,
+    getItemServer,
     getBackdropUrl,
     getLogoUrl,
     getPrimaryImageUrl,
@@ -27,61 +32,33 @@ import {
 
 export var factory = {};
 
-var pingInterval;
-var lastTranscoderPing = 0;
-
-function restartPingInterval($scope, reportingParams) {
-
-    stopPingInterval();
-
-    if (reportingParams.PlayMethod == 'Transcode') {
-        pingInterval = setInterval(function () {
-            factory.pingTranscoder($scope, {
-                PlaySessionId: reportingParams.PlaySessionId
-            });
-        }, 1000);
-    }
-}
-
-function stopPingInterval() {
-
-    var current = pingInterval;
-
-    if (current) {
-        clearInterval(current);
-        pingInterval = null;
-    }
-}
-
-factory.stopPingInterval = function () {
-    stopPingInterval();
-};
+var reportQueue = new reportingQueue();
 
 factory.reportPlaybackStart = function ($scope, options) {
 
+    var server = getItemServer($scope);
+
     this.stopDynamicContent();
 
-    if (!$scope.userId) {
+    if (!server.userId) {
         throw new Error("null userId");
     }
 
-    if (!$scope.serverAddress) {
+    if (!server.serverAddress) {
         throw new Error("null serverAddress");
     }
 
-    var url = getUrl($scope.serverAddress, "Sessions/Playing");
+    var url = getUrl(server.serverAddress, "Sessions/Playing");
 
     broadcastToMessageBus({
         type: 'playbackstart',
         data: getSenderReportingData($scope, options)
     });
 
-    restartPingInterval($scope, options);
-
-    return ajax({
+    return reportQueue.enqueue('start', {
 
         url: url,
-        headers: getSecurityHeaders($scope.accessToken, $scope.userId),
+        headers: getSecurityHeaders(server.accessToken, server.userId),
         type: 'POST',
         data: JSON.stringify(options),
         contentType: 'application/json'
@@ -90,11 +67,13 @@ factory.reportPlaybackStart = function ($scope, options) {
 
 factory.reportPlaybackProgress = function ($scope, options, reportToServer, broadcastEventName) {
 
-    if (!$scope.userId) {
+    var server = getItemServer($scope);
+
+    if (!server.userId) {
         throw new Error("null userId");
     }
 
-    if (!$scope.serverAddress) {
+    if (!server.serverAddress) {
         throw new Error("null serverAddress");
     }
 
@@ -109,15 +88,12 @@ factory.reportPlaybackProgress = function ($scope, options, reportToServer, broa
         return Promise.resolve();
     }
 
-    var url = getUrl($scope.serverAddress, "Sessions/Playing/Progress");
+    var url = getUrl(server.serverAddress, "Sessions/Playing/Progress");
 
-    restartPingInterval($scope, options);
-    lastTranscoderPing = new Date().getTime();
-
-    return ajax({
+    return reportQueue.enqueue('progress', {
 
         url: url,
-        headers: getSecurityHeaders($scope.accessToken, $scope.userId),
+        headers: getSecurityHeaders(server.accessToken, server.userId),
         type: 'POST',
         data: JSON.stringify(options),
         contentType: 'application/json'
@@ -126,134 +102,107 @@ factory.reportPlaybackProgress = function ($scope, options, reportToServer, broa
 
 factory.reportPlaybackStopped = function ($scope, options) {
 
-    stopPingInterval();
+    var server = getItemServer($scope);
 
-    if (!$scope.userId) {
+    if (!server.userId) {
         throw new Error("null userId");
     }
 
-    if (!$scope.serverAddress) {
+    if (!server.serverAddress) {
         throw new Error("null serverAddress");
     }
 
-    var url = getUrl($scope.serverAddress, "Sessions/Playing/Stopped");
+    var url = getUrl(server.serverAddress, "Sessions/Playing/Stopped");
 
     broadcastToMessageBus({
         type: 'playbackstop',
         data: getSenderReportingData($scope, options)
     });
 
-    return ajax({
+    return reportQueue.enqueue('stopped', {
 
         url: url,
-        headers: getSecurityHeaders($scope.accessToken, $scope.userId),
+        headers: getSecurityHeaders(server.accessToken, server.userId),
         type: 'POST',
         data: JSON.stringify(options),
         contentType: 'application/json'
     });
 };
 
-factory.pingTranscoder = function ($scope, options) {
+/**
+ * Send the reports that are still queued before the receiver is closed.
+ */
+factory.flushReports = function () {
+    reportQueue.flush();
+};
+
+/**
+ * Keep the transcode of a play session alive.
+ * @param {Object} server Server of the session, holding serverAddress, accessToken and userId.
+ * @param {string} playSessionId Id of the play session.
+ * @returns {Promise} Promise resolving once the server received the ping.
+ */
+factory.pingTranscoder = function (server, playSessionId) {
 
-    if (!$scope.userId) {
+    if (!server.userId) {
         throw new Error("null userId");
     }
 
-    if (!$scope.serverAddress) {
+    if (!server.serverAddress) {
         throw new Error("null serverAddress");
     }
 
-    var now = new Date().getTime();
-    if ((now - lastTranscoderPing) < 10000) {
-
-        console.log("Skipping ping due to recent progress check-in");
-        return new Promise(function (resolve, reject) {
-            resolve();
-        });
-    }
-
-    var url = getUrl($scope.serverAddress, "Sessions/Playing/Ping");
-    lastTranscoderPing = new Date().getTime();
+    var url = getUrl(server.serverAddress, "Sessions/Playing/Ping");
 
     return ajax({
 
         url: url,
-        headers: getSecurityHeaders($scope.accessToken, $scope.userId),
+        headers: getSecurityHeaders(server.accessToken, server.userId),
         type: 'POST',
-        data: JSON.stringify(options),
-        contentType: 'application/json'
-    });
-};
-
-var backdropInterval;
-
-function clearBackropInterval() {
-    if (backdropInterval) {
-        clearInterval(backdropInterval);
-        backdropInterval = null;
-    }
-}
-
-function startBackdropInterval($scope, serverAddress, accessToken, userId) {
-
-    clearBackropInterval();
-
-    setRandomUserBackdrop($scope, serverAddress, accessToken, userId);
-
-    backdropInterval = setInterval(function () {
-        setRandomUserBackdrop($scope, serverAddress, accessToken, userId);
-    }, 30000);
-}
-
-function setRandomUserBackdrop($scope, serverAddress, accessToken, userId) {
-
-    console.log('setRandomUserBackdrop');
-
-    var url = getUrl(serverAddress, "Users/" + userId + "/Items");
-
-    ajax({
-        url: url,
-        headers: getSecurityHeaders(accessToken, userId),
-        dataType: 'json',
-        type: 'GET',
         query: {
-            SortBy: "Random",
-            IncludeItemTypes: "Movie,Series",
-            ImageTypes: 'Backdrop',
-            Recursive: true,
-
-            // Although we're limiting to what the user has access to,
-            // not everyone will want to see adult backdrops rotating on their TV.
-            MaxOfficialRating: 'PG-13',
-
-            Limit: 1
+            PlaySessionId: playSessionId
         }
+    });
+};
 
-    }).then(function (result) {
-        var item = result.Items[0];
+var slideshow = new backdropSlideshow();
+var home = new homeScreen();
+var details = new itemDetails();
 
-        var backdropUrl = '';
+factory.displayUserInfo = function ($scope, serverAddress, accessToken, userId) {
 
-        if (item) {
-            backdropUrl = getBackdropUrl(item, serverAddress) || '';
-        }
+    var server = {
+        serverAddress: serverAddress,
+        accessToken: accessToken,
+        userId: userId
+    };
 
-        setWaitingBackdrop(backdropUrl);
-    });
-}
+    slideshow.start(server);
+    home.show(server);
+};
 
-factory.displayUserInfo = function ($scope, serverAddress, accessToken, userId) {
+/**
+ * @param {function(Object)} handler Called with the playback options of an item tapped on the home screen.
+ */
+factory.setHomeScreenPlayHandler = function (handler) {
+    home.setPlayHandler(handler);
+};
 
-    startBackdropInterval($scope, serverAddress, accessToken, userId);
+/**
+ * @param {Object} options Backdrop slideshow options sent by the sender.
+ */
+factory.setBackdropOptions = function (options) {
+    slideshow.setOptions(options);
 };
 
 factory.stopDynamicContent = function () {
-    clearBackropInterval();
+    slideshow.stop();
+    home.hide();
 };
 
 function showItem($scope, serverAddress, accessToken, userId, item) {
 
-    clearBackropInterval();
+    factory.stopDynamicContent();
 
     console.log('showItem');
 
@@ -296,6 +245,12 @@ function showItem($scope, serverAddress, accessToken, userId, item) {
     }
 
     setDetailImage(detailImageUrl);
+
+    details.show({
+        serverAddress: serverAddress,
+        accessToken: accessToken,
+        userId: userId
+    }, item);
 }
 
 factory.displayItem = function ($scope, serverAddress, accessToken, userId, itemId) {
@@ -318,10 +273,12 @@ factory.displayItem = function ($scope, serverAddress, accessToken, userId, item
 
 factory.getSubtitle = function ($scope, subtitleStreamUrl) {
 
+    var server = getItemServer($scope);
+
     return ajax({
 
         url: subtitleStreamUrl,
-        headers: getSecurityHeaders($scope.accessToken, $scope.userId),
+        headers: getSecurityHeaders(server.accessToken, server.userId),
         type: 'GET',
         dataType: 'json'
     });
@@ -363,7 +320,7 @@ factory.stop = function ($scope) {
     }, 20);
 };
 
-factory.getPlaybackInfo = function (item, maxBitrate, deviceProfile, startPosition, mediaSourceId, audioStreamIndex, subtitleStreamIndex, liveStreamId) {
+factory.getPlaybackInfo = function (item, maxBitrate, deviceProfile, startPosition, mediaSourceId, audioStreamIndex, subtitleStreamIndex, liveStreamId, signal) {
 
     if (!item.userId) {
         throw new Error("null userId");
@@ -408,11 +365,14 @@ factory.getPlaybackInfo = function (item, maxBitrate, deviceProfile, startPositi
         type: 'POST',
         dataType: 'json',
         data: JSON.stringify(postData),
-        contentType: 'application/json'
+        contentType: 'application/json',
+        // PlaybackInfo doesn't change any server state, so it is safe to repeat
+        retries: 2,
+        signal: signal
     });
 };
 
-factory.getLiveStream = function (item, playSessionId, maxBitrate, deviceProfile, startPosition, mediaSource, audioStreamIndex, subtitleStreamIndex) {
+factory.getLiveStream = function (item, playSessionId, maxBitrate, deviceProfile, startPosition, mediaSource, audioStreamIndex, subtitleStreamIndex, signal) {
 
     if (!item.userId) {
         throw new Error("null userId");
@@ -454,21 +414,22 @@ factory.getLiveStream = function (item, playSessionId, maxBitrate, deviceProfile
         type: 'POST',
         dataType: 'json',
         data: JSON.stringify(postData),
-        contentType: 'application/json'
+        contentType: 'application/json',
+        signal: signal
     });
 };
 
-factory.getDownloadSpeed = function ($scope, byteSize) {
+factory.getDownloadSpeed = function (server, byteSize) {
 
-    if (!$scope.userId) {
+    if (!server.userId) {
         throw new Error("null userId");
     }
 
-    if (!$scope.serverAddress) {
+    if (!server.serverAddress) {
         throw new Error("null serverAddress");
     }
 
-    var url = getUrl($scope.serverAddress, "Playback/BitrateTest");
+    var url = getUrl(server.serverAddress, "Playback/BitrateTest");
     url += "?size=" + byteSize;
 
     var now = new Date().getTime();
@@ -477,8 +438,10 @@ factory.getDownloadSpeed = function ($scope, byteSize) {
 
         type: "GET",
         url: url,
-        headers: getSecurityHeaders($scope.accessToken, $scope.userId),
-        timeout: 5000
+        headers: getSecurityHeaders(server.accessToken, server.userId),
+        timeout: 5000,
+        // A retried download would skew the measured speed
+        retries: 0
 
     }).then(function () {
 
@@ -490,17 +453,17 @@ factory.getDownloadSpeed = function ($scope, byteSize) {
     });
 };
 
-factory.detectBitrate = function ($scope) {
+factory.detectBitrate = function (server) {
 
     // First try a small amount so that we don't hang up their mobile connection
-    return factory.getDownloadSpeed($scope, 1000000).then(function (bitrate) {
+    return factory.getDownloadSpeed(server, 1000000).then(function (bitrate) {
 
         if (bitrate < 1000000) {
             return Math.round(bitrate * .8);
         } else {
 
             // If that produced a fairly high speed, try again with a larger size to get a more accurate result
-            return factory.getDownloadSpeed($scope, 2400000).then(function (bitrate) {
+            return factory.getDownloadSpeed(server, 2400000).then(function (bitrate) {
 
                 return Math.round(bitrate * .8);
             });
@@ -509,22 +472,93 @@ factory.detectBitrate = function ($scope) {
     });
 };
 
-factory.stopActiveEncodings = function ($scope) {
+/**
+ * Kill the encodings the server runs for this device.
+ * @param {Object} server Server running the encodings, holding serverAddress, accessToken and userId.
+ * @param {string} [playSessionId] Only kill the encodings of this play session.
+ * @returns {Promise} Promise resolving once the encodings were stopped.
+ */
+factory.stopActiveEncodings = function (server, playSessionId) {
 
     var options = {
         deviceId: deviceInfo.deviceId
     };
 
-    if ($scope.playSessionId) {
-        options.PlaySessionId = $scope.playSessionId;
+    if (playSessionId) {
+        options.PlaySessionId = playSessionId;
     }
 
-    var url = getUrl($scope.serverAddress, "Videos/ActiveEncodings");
+    var url = getUrl(server.serverAddress, "Videos/ActiveEncodings");
 
     return ajax({
         type: "DELETE",
-        headers: getSecurityHeaders($scope.accessToken, $scope.userId),
+        headers: getSecurityHeaders(server.accessToken, server.userId),
         url: url,
         query: options
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Close a live stream opened through LiveStreams/Open, freeing the tuner.
+ * @param {Object} server Server of the live stream, holding serverAddress, accessToken and userId.
+ * @param {string} liveStreamId Id of the live stream.
+ * @returns {Promise} Promise resolving once the live stream was closed.
+ */
+factory.closeLiveStream = function (server, liveStreamId) {
+
+    var url = getUrl(server.serverAddress, "LiveStreams/Close");
+
+    return ajax({
+        type: "POST",
+        headers: getSecurityHeaders(server.accessToken, server.userId),
+        url: url,
+        query: {
+            LiveStreamId: liveStreamId
+        }
+    });
+};
+
+/**
+ * Schedule the recording of a program with the server's default recording settings.
+ * @param {Object} server Server of the program, holding serverAddress, accessToken and userId.
+ * @param {string} programId Id of the program.
+ * @returns {Promise} Promise resolving once the timer was created.
+ */
+factory.recordProgram = function (server, programId) {
+
+    return ajax({
+        type: "GET",
+        headers: getSecurityHeaders(server.accessToken, server.userId),
+        url: getUrl(server.serverAddress, "LiveTv/Timers/Defaults"),
+        query: {
+            programId: programId
+        },
+        dataType: "json"
+    }).then(function (timer) {
+
+        return ajax({
+            type: "POST",
+            headers: getSecurityHeaders(server.accessToken, server.userId),
+            url: getUrl(server.serverAddress, "LiveTv/Timers"),
+            data: JSON.stringify(timer),
+            contentType: "application/json"
+        });
+    });
+};
+
+/**
+ * Add an item to the favorites of the user or remove it from them.
+ * @param {Object} server Server of the item, holding serverAddress, accessToken and userId.
+ * @param {string} itemId Id of the item.
+ * @param {boolean} isFavorite Whether the item should be a favorite.
+ * @returns {Promise<Object>} Promise resolving to the user data of the item.
+ */
+factory.setFavorite = function (server, itemId, isFavorite) {
+
+    return ajax({
+        type: isFavorite ? "POST" : "DELETE",
+        headers: getSecurityHeaders(server.accessToken, server.userId),
+        url: getUrl(server.serverAddress, "Users/" + server.userId + "/FavoriteItems/" + itemId),
+        dataType: "json"
+    });
+};
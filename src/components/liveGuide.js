@@ -0,0 +1,312 @@
+import { factory as jellyfinActions } from "./jellyfinactions";
+import {
+    getChannels,
+    getPrograms,
+    getMetadata,
+    getItemServer,
+    parseISO8601Date,
+    broadcastToMessageBus,
+    broadcastError
+} from "../helpers";
+
+/**
+ * Time the now/next banner stays on screen after switching channels.
+ */
+const bannerDuration = 6000;
+
+/**
+ * Hours of programs covered by the guide.
+ */
+const guideHours = 3;
+
+/**
+ * Delay before refreshing the programs once the current one ended, the guide data isn't always on the second.
+ */
+const refreshDelay = 5000;
+
+/**
+ * Most channels listed in the guide.
+ */
+const guideChannelLimit = 100;
+
+/**
+ * Channels whose programs are requested at once, keeping the query string of each request short.
+ */
+const programsChannelChunk = 20;
+
+/**
+ * What's on live channels.
+ *
+ * While a channel plays, its current and next programs are kept up to date in the
+ * Cast metadata and shown in a banner after switching channels. The guide overlay
+ * lists the current and next programs of all channels, and programs can be
+ * recorded through the server's timers.
+ */
+export class liveGuide {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     */
+    constructor(playerManager) {
+        this.playerManager = playerManager;
+        this.channel = null;
+        this.programs = [];
+        this.refreshTimeout = null;
+        this.bannerTimeout = null;
+
+        this.banner = document.querySelector(".liveBanner");
+        this.guide = document.querySelector(".liveGuide");
+
+        const EventType = cast.framework.events.EventType;
+
+        playerManager.addEventListener(EventType.PLAYER_LOAD_COMPLETE, () => this.onLoad());
+        playerManager.addEventListener(EventType.MEDIA_FINISHED, () => this.stop());
+    }
+
+    onLoad() {
+        const item = $scope.item;
+        if (!item || item.Type !== "TvChannel") {
+            this.stop();
+            return;
+        }
+
+        // Changing streams of the same channel reloads it as well, only a new channel gets the banner
+        const isNewChannel = !this.channel || this.channel.Id !== item.Id;
+        this.channel = item;
+
+        this.refreshPrograms().then(() => {
+            if (isNewChannel) {
+                this.showBanner();
+            }
+        });
+    }
+
+    stop() {
+        clearTimeout(this.refreshTimeout);
+        clearTimeout(this.bannerTimeout);
+        this.refreshTimeout = null;
+        this.bannerTimeout = null;
+
+        this.channel = null;
+        this.programs = [];
+        this.banner.classList.add("hide");
+        this.hideGuide();
+    }
+
+    /**
+     * Fetch the current and next program of the playing channel and publish them.
+     * @returns {Promise} Promise resolving once the programs were updated.
+     */
+    refreshPrograms() {
+        clearTimeout(this.refreshTimeout);
+        this.refreshTimeout = null;
+
+        const channel = this.channel;
+        const server = getItemServer($scope);
+        const now = new Date();
+
+        return getPrograms(server.serverAddress, server.accessToken, server.userId, [channel.Id], now, new Date(now.getTime() + guideHours * 3600000)).then((result) => {
+            if (channel !== this.channel) {
+                return;
+            }
+
+            this.programs = result.Items.slice(0, 2);
+            this.updateMetadata();
+
+            const current = this.programs[0];
+            if (current && current.EndDate) {
+                const delay = parseISO8601Date(current.EndDate).getTime() - Date.now() + refreshDelay;
+                this.refreshTimeout = setTimeout(() => this.refreshPrograms().then(() => this.renderBanner()), Math.max(delay, refreshDelay));
+            }
+        }, (err) => {
+            console.log("Loading programs of channel " + channel.Id + " failed: " + err);
+        });
+    }
+
+    /**
+     * Show the current program in the Cast metadata, so senders and the player UI pick it up.
+     */
+    updateMetadata() {
+        const mediaInformation = this.playerManager.getMediaInformation();
+        if (!mediaInformation) {
+            return;
+        }
+
+        this.channel.CurrentProgram = this.programs[0] || null;
+        mediaInformation.metadata = getMetadata(this.channel);
+        this.playerManager.setMediaInformation(mediaInformation, true);
+    }
+
+    showBanner() {
+        this.renderBanner();
+        this.banner.classList.remove("hide");
+
+        clearTimeout(this.bannerTimeout);
+        this.bannerTimeout = setTimeout(() => this.banner.classList.add("hide"), bannerDuration);
+    }
+
+    renderBanner() {
+        if (!this.channel) {
+            return;
+        }
+
+        this.banner.innerHTML = "";
+        this.banner.appendChild(createText("div", "liveBannerChannel", getChannelName(this.channel)));
+
+        const [current, next] = this.programs;
+        if (current) {
+            this.banner.appendChild(createProgramLine("Now", current));
+            this.banner.appendChild(createProgress(current));
+        }
+        if (next) {
+            this.banner.appendChild(createProgramLine("Next", next));
+        }
+    }
+
+    /**
+     * Open the guide with the current and next programs of all channels.
+     * @returns {Promise} Promise resolving once the guide is shown.
+     */
+    showGuide() {
+        const server = getItemServer($scope);
+        const now = new Date();
+
+        const maxStartDate = new Date(now.getTime() + guideHours * 3600000);
+
+        return getChannels(server.serverAddress, server.accessToken, server.userId, guideChannelLimit).then((result) => {
+            const channels = result.Items;
+            if (!channels.length) {
+                return;
+            }
+
+            const requests = [];
+            for (let i = 0; i < channels.length; i += programsChannelChunk) {
+                const channelIds = channels.slice(i, i + programsChannelChunk).map((channel) => channel.Id);
+                requests.push(getPrograms(server.serverAddress, server.accessToken, server.userId, channelIds, now, maxStartDate));
+            }
+
+            return Promise.all(requests).then((programResults) => {
+                const programs = [].concat(...programResults.map((programResult) => programResult.Items));
+                this.renderGuide(channels, programs);
+                this.guide.classList.remove("hide");
+            });
+        }).catch((err) => {
+            console.log("Loading guide failed: " + err);
+            broadcastError(err);
+        });
+    }
+
+    hideGuide() {
+        this.guide.classList.add("hide");
+        this.guide.innerHTML = "";
+    }
+
+    /**
+     * @param {Object[]} channels Channels in guide order.
+     * @param {Object[]} programs Programs of those channels, ordered by start date.
+     */
+    renderGuide(channels, programs) {
+        const programsByChannel = {};
+        for (const program of programs) {
+            const channelPrograms = programsByChannel[program.ChannelId] = programsByChannel[program.ChannelId] || [];
+            if (channelPrograms.length < 2) {
+                channelPrograms.push(program);
+            }
+        }
+
+        this.guide.innerHTML = "";
+        for (const channel of channels) {
+            const row = createElement("div", "liveGuideRow");
+            if (this.channel && this.channel.Id === channel.Id) {
+                row.classList.add("current");
+            }
+
+            row.appendChild(createText("div", "liveGuideChannel", getChannelName(channel)));
+            for (const program of programsByChannel[channel.Id] || []) {
+                const cell = createElement("div", "liveGuideProgram");
+                if (program.TimerId) {
+                    cell.classList.add("recording");
+                }
+
+                cell.appendChild(createText("div", "liveGuideTime", formatTime(program.StartDate)));
+                cell.appendChild(createText("div", "liveGuideName", program.Name));
+                row.appendChild(cell);
+            }
+
+            this.guide.appendChild(row);
+        }
+    }
+
+    /**
+     * Schedule a recording of a program.
+     * @param {string} programId Id of the program.
+     * @returns {Promise} Promise resolving once the recording was scheduled or failed.
+     */
+    record(programId) {
+        const server = getItemServer($scope);
+
+        return jellyfinActions.recordProgram(server, programId).then(() => {
+            broadcastToMessageBus({
+                type: "timercreated",
+                data: {
+                    ProgramId: programId
+                }
+            });
+        }, (err) => {
+            console.log("Scheduling recording of " + programId + " failed: " + err);
+            broadcastError(err);
+        });
+    }
+}
+
+function getChannelName(channel) {
+    return channel.ChannelNumber ? channel.ChannelNumber + "  " + channel.Name : channel.Name;
+}
+
+function formatTime(date) {
+    return date ? parseISO8601Date(date).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "";
+}
+
+function createElement(tagName, className) {
+    const element = document.createElement(tagName);
+    element.className = className;
+
+    return element;
+}
+
+function createText(tagName, className, text) {
+    const element = createElement(tagName, className);
+    element.textContent = text || "";
+
+    return element;
+}
+
+/**
+ * @param {string} label Label in front of the program, like Now or Next.
+ * @param {Object} program The program.
+ * @returns {HTMLElement} Line showing the program and its time range.
+ */
+function createProgramLine(label, program) {
+    const line = createElement("div", "liveBannerProgram");
+    line.appendChild(createText("span", "liveBannerLabel", label));
+    line.appendChild(createText("span", "liveBannerTime", formatTime(program.StartDate) + " - " + formatTime(program.EndDate)));
+    line.appendChild(createText("span", "liveBannerName", program.Name));
+
+    return line;
+}
+
+/**
+ * @param {Object} program Program airing right now.
+ * @returns {HTMLElement} Bar showing how much of the program has aired.
+ */
+function createProgress(program) {
+    const start = parseISO8601Date(program.StartDate).getTime();
+    const end = parseISO8601Date(program.EndDate).getTime();
+    const percentage = end > start ? Math.min(100, Math.max(0, (Date.now() - start) / (end - start) * 100)) : 0;
+
+    const bar = createElement("div", "liveBannerProgress");
+    const value = createElement("div", "liveBannerProgressValue");
+    value.style.width = percentage + "%";
+    bar.appendChild(value);
+
+    return bar;
+}
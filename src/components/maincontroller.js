@@ -1,7 +1,8 @@
 ﻿/* eslint-disable */
 
 import { factory as jellyfinActions } from "./jellyfinactions";
-import { ajax } from "./fetchhelper";
+import { ajax, isAbortError } from "./fetchhelper";
+import { ServerError } from "./errors";
 import { getDeviceProfile as deviceProfileBuilder } from "./deviceprofilebuilder";
 import {
     getUrl,
@@ -11,20 +12,36 @@ import {
     getMetadata,
     createStreamInfo,
     getStreamByIndex,
+    findStreamByLanguage,
     getSecurityHeaders,
+    getItemServer,
     getShuffleItems,
     getInstantMixItems,
+    getChannels,
+    getItemsForPlayback,
+    isLiveStream,
     translateRequestedItems,
     setAppStatus,
     extend,
     broadcastToMessageBus,
-    broadcastConnectionErrorMessage,
+    broadcastError,
     cleanName,
     tagItems
 } from "../helpers";
 
 import { commandHandler } from "./commandHandler";
 import { playbackManager } from "./playbackManager";
+import { progressScheduler } from "./progressScheduler";
+import { transcodeManager } from "./transcodeManager";
+import { bandwidthMonitor } from "./bandwidthMonitor";
+import { timeShift } from "./timeShift";
+import { liveGuide } from "./liveGuide";
+import { resumePrompt } from "./resumePrompt";
+import { segmentSkipper } from "./segmentSkipper";
+import { chapterNavigator } from "./chapterNavigator";
+import { trickplayPreview } from "./trickplayPreview";
+import { crossfade } from "./crossfade";
+import { touchControls } from "./touchControls";
 
 window.castReceiverContext = cast.framework.CastReceiverContext.getInstance();
 window.mediaManager = window.castReceiverContext.getPlayerManager();
@@ -34,7 +51,35 @@ window.mediaManager.addEventListener(cast.framework.events.category.CORE,
         console.log(event);
     });
 
-const playbackMgr = new playbackManager(window.castReceiverContext, window.mediaManager);
+const transcodeMgr = new transcodeManager(window.mediaManager, function () {
+    // Passing stream params forces a new stream instead of a seek in the stopped one
+    changeStream(getCurrentPositionTicks($scope), {});
+});
+const resumeQuestion = new resumePrompt();
+const playbackMgr = new playbackManager(window.castReceiverContext, window.mediaManager, transcodeMgr, resumeQuestion);
+const bandwidthMon = new bandwidthMonitor(window.mediaManager, function () {
+    // Request a new stream at the lowered bitrate from where playback stalled
+    changeStream(getCurrentPositionTicks($scope), {});
+});
+
+const timeShiftMgr = new timeShift(window.mediaManager);
+const guide = new liveGuide(window.mediaManager);
+const preview = new trickplayPreview(window.mediaManager);
+const skipper = new segmentSkipper(window.mediaManager, function (ticks) {
+    seek(ticks);
+});
+const chapters = new chapterNavigator(window.mediaManager, function (ticks) {
+    seek(ticks);
+});
+const touch = new touchControls(window.mediaManager);
+const fader = new crossfade(window.mediaManager, function () {
+    return playbackMgr.getPreparedItem();
+});
+
+// Items tapped on the home screen of touch screens play like items sent by a sender
+jellyfinActions.setHomeScreenPlayHandler(function (options) {
+    playbackMgr.playFromOptions(options);
+});
 
 const playbackConfig = new cast.framework.PlaybackConfig();
 // Set the player to start playback as soon as there are five seconds of
@@ -50,25 +95,29 @@ init();
 
 var mgr = window.mediaManager;
 
-var broadcastToServer = new Date();
+var progressReporter = new progressScheduler(function (reportToServer, eventName) {
+    jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope), reportToServer, eventName);
+
+    if (reportToServer !== false) {
+        transcodeMgr.onServerContact();
+    }
+});
 
 export function onMediaElementTimeUpdate(e) {
     if ($scope.isChangingStream) {
         return;
     }
 
-    var now = new Date();
+    progressReporter.onTimeUpdate();
+}
 
-    var elapsed = now - broadcastToServer;
+export function onMediaElementSeeked() {
 
-    if (elapsed > 5000) {
-        // TODO use status as input
-        jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope));
-        broadcastToServer = now;
-    } else if (elapsed > 1500) {
-        // TODO use status as input
-        jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope), false);
+    if ($scope.isChangingStream) {
+        return;
     }
+
+    progressReporter.reportNow();
 }
 
 export function onMediaElementPause() {
@@ -102,6 +151,7 @@ export function enableTimeUpdateListener() {
     window.mediaManager.addEventListener(cast.framework.events.EventType.REQUEST_VOLUME_CHANGE, onMediaElementVolumeChange);
     window.mediaManager.addEventListener(cast.framework.events.EventType.PAUSE, onMediaElementPause);
     window.mediaManager.addEventListener(cast.framework.events.EventType.PLAYING, onMediaElementPlaying);
+    window.mediaManager.addEventListener(cast.framework.events.EventType.SEEKED, onMediaElementSeeked);
 }
 
 export function disableTimeUpdateListener() {
@@ -109,6 +159,7 @@ export function disableTimeUpdateListener() {
     window.mediaManager.removeEventListener(cast.framework.events.EventType.REQUEST_VOLUME_CHANGE, onMediaElementVolumeChange);
     window.mediaManager.removeEventListener(cast.framework.events.EventType.PAUSE, onMediaElementPause);
     window.mediaManager.removeEventListener(cast.framework.events.EventType.PLAYING, onMediaElementPlaying);
+    window.mediaManager.removeEventListener(cast.framework.events.EventType.SEEKED, onMediaElementSeeked);
 }
 
 enableTimeUpdateListener();
@@ -116,22 +167,34 @@ enableTimeUpdateListener();
 window.addEventListener('beforeunload', function () {
     // Try to cleanup after ourselves before the page closes
     disableTimeUpdateListener();
-    jellyfinActions.reportPlaybackStopped($scope, getReportingParams($scope));
+
+    // Regular requests are cancelled along with the page, send what is left in a way that outlives it
+    jellyfinActions.flushReports();
+
+    var reportingParams = getReportingParams($scope);
+    if (reportingParams.ItemId) {
+        jellyfinActions.reportPlaybackStopped($scope, reportingParams);
+    }
 });
 
 mgr.defaultOnPlay = function (event) {
 
     jellyfinActions.play($scope, event);
-    jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope));
+    progressReporter.reportNow();
 };
 mgr.addEventListener(cast.framework.events.EventType.PLAY, mgr.defaultOnPlay);
 
 mgr.defaultOnPause = function (event) {
-    jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope));
+    progressReporter.reportNow();
 };
 mgr.addEventListener(cast.framework.events.EventType.PAUSE, mgr.defaultOnPause);
 
 mgr.defaultOnStop = function (event) {
+    // Items that played to their end lead into the next one of the playlist
+    if (event.type === cast.framework.events.EventType.MEDIA_FINISHED && playbackMgr.onMediaFinished(event)) {
+        return;
+    }
+
     playbackMgr.stop();
 };
 
@@ -145,14 +208,14 @@ mgr.addEventListener(cast.framework.events.EventType.ENDED, function () {
         return;
     }
 
-    jellyfinActions.reportPlaybackStopped($scope, getReportingParams($scope));
-    init();
+    // Moving on to the next item or back to the home screen happens once the media finished
+    progressReporter.reset();
 
-    if (!playNextItem()) {
-        window.playlist = [];
-        window.currentPlaylistIndex = -1;
-        jellyfinActions.displayUserInfo($scope, $scope.serverAddress, $scope.accessToken, $scope.userId);
+    var reportingParams = getReportingParams($scope);
+    if (reportingParams.ItemId) {
+        jellyfinActions.reportPlaybackStopped($scope, reportingParams);
     }
+    init();
 });
 
 window.castReceiverContext.addEventListener(cast.framework.system.EventType.SYSTEM_VOLUME_CHANGED, function (event) {
@@ -167,14 +230,22 @@ window.castReceiverContext.addEventListener(cast.framework.system.EventType.SYST
 window.mediaManager.addEventListener(
     cast.framework.events.EventType.PLAYER_LOAD_COMPLETE, () => {
         setTextTrack(window.mediaManager.getMediaInformation().customData.subtitleStreamIndex);
+
+        // Resolve the next item while this one plays, so it starts without a gap
+        playbackMgr.onLoadComplete();
     }
 );
 
 console.log('Application is ready, starting system');
 
-export function reportDeviceCapabilities() {
-    getMaxBitrate("Video").then((maxBitrate) => {
-        let capabilitiesUrl = $scope.serverAddress + "/Sessions/Capabilities/Full";
+// Servers that have been told what this device can play, by address
+var reportedCapabilities = {};
+
+export function reportDeviceCapabilities(server) {
+    reportedCapabilities[server.serverAddress] = true;
+
+    getMaxBitrate("Video", server).then((maxBitrate) => {
+        let capabilitiesUrl = server.serverAddress + "/Sessions/Capabilities/Full";
         let deviceProfile = getDeviceProfile(maxBitrate);
 
         let capabilities = {
@@ -183,10 +254,9 @@ export function reportDeviceCapabilities() {
             SupportsMediaControl: true,
             DeviceProfile: deviceProfile
         };
-        window.hasReportedCapabilities = true;
         return ajax({
             url: capabilitiesUrl,
-            headers: getSecurityHeaders($scope.accessToken, $scope.userId),
+            headers: getSecurityHeaders(server.accessToken, server.userId),
             type: 'POST',
             data: JSON.stringify(capabilities),
             contentType: 'application/json'
@@ -208,6 +278,7 @@ export function processMessage(data) {
     }
 
     // Items will have properties - Id, Name, Type, MediaType, IsFolder
+    // These only describe the sender that spoke last, requests for queued items use the item's own server
     $scope.userId = data.userId;
     $scope.accessToken = data.accessToken;
     $scope.serverAddress = data.serverAddress;
@@ -215,9 +286,33 @@ export function processMessage(data) {
         window.subtitleAppearance = data.subtitleAppearance;
     }
 
-    // Report device capabilities
-    if (!window.hasReportedCapabilities) {
-        reportDeviceCapabilities();
+    if (data.backdropOptions) {
+        jellyfinActions.setBackdropOptions(data.backdropOptions);
+    }
+
+    if (data.alwaysResume != null) {
+        resumeQuestion.setAlwaysResume(data.alwaysResume);
+    }
+
+    if (data.autoSkipSegments != null) {
+        skipper.setAutoSkip(data.userId, data.autoSkipSegments);
+    }
+
+    if (data.timeShiftWindow) {
+        timeShiftMgr.setWindow(data.timeShiftWindow);
+    }
+
+    if (data.crossfadeDuration != null) {
+        fader.setDuration(data.crossfadeDuration);
+    }
+
+    // Report device capabilities to every server that uses this receiver
+    if (!reportedCapabilities[data.serverAddress]) {
+        reportDeviceCapabilities({
+            serverAddress: data.serverAddress,
+            accessToken: data.accessToken,
+            userId: data.userId
+        });
     }
 
     data.options = data.options || {};
@@ -243,19 +338,19 @@ export function processMessage(data) {
 
     if (window.reportEventType) {
         var report = function () {
-            jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope));
+            progressReporter.reportNow();
         };
-        jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope), true, window.reportEventType);
+        progressReporter.reportNow(window.reportEventType);
         setTimeout(report, 100);
         setTimeout(report, 500);
     }
 }
 
 export function reportEvent(name, reportToServer) {
-    jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope), reportToServer, name);
+    progressReporter.reportNow(name, reportToServer);
 }
 
-export function setSubtitleStreamIndex($scope, index, serverAddress) {
+export function setSubtitleStreamIndex($scope, index) {
     console.log('setSubtitleStreamIndex. index: ' + index);
 
     var currentSubtitleStream = $scope.mediaSource.MediaStreams.filter(function (m) {
@@ -291,7 +386,7 @@ export function setSubtitleStreamIndex($scope, index, serverAddress) {
 
     if (subtitleStream.DeliveryMethod == 'External' || currentDeliveryMethod == 'Encode') {
 
-        var textStreamUrl = subtitleStream.IsExternalUrl ? subtitleStream.DeliveryUrl : getUrl(serverAddress, subtitleStream.DeliveryUrl);
+        var textStreamUrl = subtitleStream.IsExternalUrl ? subtitleStream.DeliveryUrl : getUrl(getItemServer($scope).serverAddress, subtitleStream.DeliveryUrl);
 
         console.log('Subtitle url: ' + textStreamUrl);
         setTextTrack(index);
@@ -314,30 +409,99 @@ export function setAudioStreamIndex($scope, index) {
 }
 
 export function seek(ticks) {
+    // Restarting a transcode takes a while, show where playback is headed in the meantime
+    preview.show(ticks);
     changeStream(ticks);
 }
 
+/**
+ * @param {boolean} visible Whether the guide of the live channels should be shown.
+ */
+export function toggleGuide(visible) {
+    if (visible) {
+        guide.showGuide();
+    } else {
+        guide.hideGuide();
+    }
+}
+
+/**
+ * @param {boolean} resume Answer of the sender to the resume prompt, whether to resume or start over.
+ */
+export function answerResumePrompt(resume) {
+    resumeQuestion.answer(resume);
+}
+
+/**
+ * Skip the intro or credits playback is in.
+ */
+export function skipSegment() {
+    skipper.skip();
+}
+
+/**
+ * @param {number} offset 1 for the next chapter, -1 for the previous one.
+ */
+export function changeChapter(offset) {
+    if (offset > 0) {
+        chapters.next();
+    } else {
+        chapters.previous();
+    }
+}
+
+/**
+ * @param {number} index Index of the chapter to jump to.
+ */
+export function goToChapter(index) {
+    chapters.goTo(index);
+}
+
+/**
+ * @param {string} programId Id of the program to record.
+ */
+export function recordProgram(programId) {
+    guide.record(programId);
+}
+
+/**
+ * Go back to the live edge of a time-shifted channel.
+ */
+export function jumpToLive() {
+    if (timeShiftMgr.jumpToLive()) {
+        progressReporter.reportNow();
+    }
+}
+
 export function changeStream(ticks, params) {
     if (ticks) {
         ticks = parseInt(ticks);
     }
 
-    if (window.mediaManager.getMediaInformation().customData.canClientSeek && params == null) {
+    var customData = window.mediaManager.getMediaInformation().customData;
+
+    if (customData.canClientSeek && params == null) {
 
-        window.mediaManager.seek(ticks / 10000000);
-        jellyfinActions.reportPlaybackProgress($scope, getReportingParams($scope));
+        // Live streams can only be seeked within their time-shift window
+        window.mediaManager.seek(timeShiftMgr.clamp(ticks / 10000000));
+        progressReporter.reportNow();
+        return;
+    }
+
+    if (customData.isLive && params == null) {
+        // Restarting a live stream at a position makes no sense, there is only now
+        console.log('Ignoring seek, live stream can not be time-shifted');
         return;
     }
 
     params = params || {};
 
-    var playSessionId = $scope.playSessionId;
     var liveStreamId = $scope.liveStreamId;
 
     var item = $scope.item;
     var mediaType = item.MediaType;
 
-    getMaxBitrate(mediaType).then(async (maxBitrate) => {
+    getMaxBitrate(mediaType, item).then(async (maxBitrate) => {
         const deviceProfile = getDeviceProfile(maxBitrate);
         const audioStreamIndex = params.AudioStreamIndex == null ? $scope.audioStreamIndex : params.AudioStreamIndex;
         const subtitleStreamIndex = params.SubtitleStreamIndex == null ? $scope.subtitleStreamIndex : params.SubtitleStreamIndex;
@@ -355,21 +519,26 @@ export function changeStream(ticks, params) {
             return;
         }
 
+        // The new stream belongs to a play session of its own, which is the one to keep alive and stop later
+        const playSessionId = playbackInformation.PlaySessionId || $scope.playSessionId;
         const mediaInformation = createMediaInformation(playSessionId, item, streamInfo);
-        const loadRequest = new cast.framework.messages.LoadRequestData();
-        loadRequest.media = mediaInformation;
-        loadRequest.autoplay = true;
-
-        // TODO something to do with HLS?
-        const requiresStoppingTranscoding = false;
-        if (requiresStoppingTranscoding) {
-            window.mediaManager.pause();
-            await jellyfinActions.stopActiveEncodings(playSessionId);
-        }
+        // Keep track of the live stream even if the server left its id out of the new media source
+        mediaInformation.customData.liveStreamId = mediaInformation.customData.liveStreamId || liveStreamId;
+        const loadRequest = playbackMgr.createLoadRequest(mediaInformation);
+
+        // The encoding of the previous stream is of no use anymore, don't leave it running on the server
+        await transcodeMgr.stopEncoding();
+
         window.mediaManager.load(loadRequest);
         window.mediaManager.play();
         $scope.subtitleStreamIndex = subtitleStreamIndex;
         $scope.audioStreamIndex = audioStreamIndex;
+        $scope.playMethod = mediaInformation.customData.playMethod;
+        $scope.playSessionId = playSessionId;
+        transcodeMgr.start(mediaInformation.customData);
+    }).catch(function (err) {
+        console.log("Changing stream failed: " + err);
+        broadcastError(err);
     });
 }
 
@@ -396,38 +565,134 @@ export function translateItems(data, options, items, method) {
         if (method == 'PlayNext' || method == 'PlayLast') {
             queue(options.items, method);
         } else {
+            // Only a single item asks whether to resume, lists of items start at the beginning
+            if (items.length != 1 && options.startPositionTicks == null) {
+                options.startPositionTicks = 0;
+            }
+
             playbackMgr.playFromOptions(data.options);
         }
     };
 
     var smartTranslate = method != 'PlayNext' && method != 'PlayLast';
-    translateRequestedItems(data.serverAddress, data.accessToken, data.userId, items, smartTranslate).then(callback);
+
+    // Queueing keeps the current playback, only a new play request makes pending ones stale
+    var signal = smartTranslate ? playbackMgr.renewRequestSignal() : null;
+    translateRequestedItems(data.serverAddress, data.accessToken, data.userId, items, smartTranslate, signal).then(callback, onPlaybackRequestError);
 }
 
 export function instantMix(data, options, item) {
-    getInstantMixItems(data.serverAddress, data.accessToken, data.userId, item).then(function (result) {
+    var signal = playbackMgr.renewRequestSignal();
+    getInstantMixItems(data.serverAddress, data.accessToken, data.userId, item, signal).then(function (result) {
 
         options.items = result.Items;
         tagItems(options.items, data);
+        // Mixes start at the beginning instead of asking whether to resume
+        options.startPositionTicks = 0;
         playbackMgr.playFromOptions(data.options);
-    });
+    }, onPlaybackRequestError);
 }
 
 export function shuffle(data, options, item) {
-    getShuffleItems(data.serverAddress, data.accessToken, data.userId, item).then(function (result) {
+    var signal = playbackMgr.renewRequestSignal();
+    getShuffleItems(data.serverAddress, data.accessToken, data.userId, item, signal).then(function (result) {
         options.items = result.Items;
         tagItems(options.items, data);
+        // Shuffled items start at the beginning instead of asking whether to resume
+        options.startPositionTicks = 0;
         playbackMgr.playFromOptions(data.options);
-    });
+    }, onPlaybackRequestError);
 }
 
-export function queue(items) {
-    for (var i = 0, length = items.length; i < length; i++) {
-        window.playlist.push(items[i]);
+/**
+ * Switch to another channel of the user's channel list, wrapping around at its ends.
+ * @param {Object} data Message of the sender.
+ * @param {number} offset Number of channels to move by, negative to move down the list.
+ */
+export function changeChannel(data, offset) {
+    var currentItem = $scope.item;
+    if (!currentItem || currentItem.Type !== 'TvChannel') {
+        console.log('Not changing channel, no channel is playing');
+        return;
     }
+
+    var server = getItemServer($scope);
+    var signal = playbackMgr.renewRequestSignal();
+    getChannels(server.serverAddress, server.accessToken, server.userId, null, signal).then(function (result) {
+        var channels = result.Items;
+        var index = channels.findIndex(function (channel) {
+            return channel.Id === currentItem.Id;
+        });
+
+        // Start from the top of the list if the current channel isn't part of it anymore
+        var channel = index === -1 ? channels[0] : channels[(index + offset + channels.length) % channels.length];
+        if (!channel || channel.Id === currentItem.Id) {
+            return;
+        }
+
+        tagItems([channel], server);
+
+        data.options.items = [channel];
+        playbackMgr.playFromOptions(data.options);
+    }, onPlaybackRequestError);
+}
+
+function onPlaybackRequestError(err) {
+    // A newer request replaced this one, nothing to report
+    if (isAbortError(err)) {
+        return;
+    }
+
+    broadcastError(err);
 }
 
-export function onStopPlayerBeforePlaybackDone(item, options) {
+export function queue(items, method) {
+    playbackMgr.queue(items, method);
+    reportEvent('playlistitemadd', true);
+}
+
+/**
+ * @param {string[]|string} playlistItemIds Playlist item ids of the items to remove, as a list or comma separated.
+ */
+export function removeFromPlaylist(playlistItemIds) {
+    if (typeof playlistItemIds === 'string') {
+        playlistItemIds = playlistItemIds.split(',');
+    }
+
+    playbackMgr.removeFromPlaylist(playlistItemIds || []);
+    reportEvent('playlistitemremove', true);
+}
+
+export function movePlaylistItem(playlistItemId, newIndex) {
+    // Missing indexes parse to NaN, which the playlist refuses
+    if (playbackMgr.movePlaylistItem(playlistItemId, parseInt(newIndex))) {
+        reportEvent('playlistitemmove', true);
+    }
+}
+
+export function clearPlaylist() {
+    playbackMgr.clearPlaylist();
+    reportEvent('playlistitemremove', true);
+}
+
+/**
+ * @param {string} shuffleMode Shuffle to shuffle the playlist, Sorted to restore its order.
+ */
+export function setShuffleMode(shuffleMode) {
+    playbackMgr.setShuffleMode(shuffleMode);
+    reportEvent('shufflemodechange', true);
+}
+
+/**
+ * @param {number} index Index of the playlist item to play.
+ */
+export function playIndex(index) {
+    if (!playbackMgr.playItemAtIndex(parseInt(index), {})) {
+        console.log('Not playing index ' + index + ', the playlist has no such item');
+    }
+}
+
+export function onStopPlayerBeforePlaybackDone(item, options, signal) {
 
     var requestUrl = getUrl(item.serverAddress, 'Users/' + item.userId + '/Items/' + item.Id);
 
@@ -436,16 +701,17 @@ export function onStopPlayerBeforePlaybackDone(item, options) {
         url: requestUrl,
         headers: getSecurityHeaders(item.accessToken, item.userId),
         dataType: 'json',
-        type: 'GET'
+        type: 'GET',
+        signal: signal
 
     }).then(function (data) {
 
         // Attach the custom properties we created like userId, serverAddress, itemId, etc
         extend(data, item);
 
-        playbackMgr.playItemInternal(data, options);
+        playbackMgr.playItemInternal(data, options, signal);
 
-    }, broadcastConnectionErrorMessage);
+    }, onPlaybackRequestError);
 }
 
 export function getDeviceProfile(maxBitrate) {
@@ -461,12 +727,33 @@ export function getDeviceProfile(maxBitrate) {
 
 }
 
-var lastBitrateDetect = 0;
-var detectedBitrate = 0;
-export function getMaxBitrate(mediaType) {
+// Detected bitrates and when they were measured, by server address
+var detectedBitrates = {};
+
+/**
+ * @param {string} mediaType Media type of the item to play.
+ * @param {Object} server Server the item is streamed from, holding serverAddress, accessToken and userId.
+ * @returns {Promise<number>} Promise resolving to the max streaming bitrate.
+ */
+export function getMaxBitrate(mediaType, server) {
 
     console.log('getMaxBitrate');
 
+    return getConfiguredMaxBitrate(mediaType, server).then(function (bitrate) {
+
+        // Playback kept stalling recently, stay below what the network managed to deliver
+        var bitrateCap = bandwidthMon.getBitrateCap();
+        if (bitrateCap && (!bitrate || bitrateCap < bitrate)) {
+            console.log('bitrate is limited to ' + bitrateCap + ' after playback stalls');
+            return bitrateCap;
+        }
+
+        return bitrate;
+    });
+}
+
+function getConfiguredMaxBitrate(mediaType, server) {
+
     return new Promise(function (resolve, reject) {
 
         if (window.MaxBitrate) {
@@ -476,9 +763,12 @@ export function getMaxBitrate(mediaType) {
             return;
         }
 
-        if (detectedBitrate && (new Date().getTime() - lastBitrateDetect) < 600000) {
-            console.log('returning previous detected bitrate of ' + detectedBitrate);
-            resolve(detectedBitrate);
+        server = server || getItemServer($scope);
+
+        var detected = detectedBitrates[server.serverAddress];
+        if (detected && (new Date().getTime() - detected.time) < 600000) {
+            console.log('returning previous detected bitrate of ' + detected.bitrate);
+            resolve(detected.bitrate);
             return;
         }
 
@@ -490,13 +780,15 @@ export function getMaxBitrate(mediaType) {
 
         console.log('detecting bitrate');
 
-        jellyfinActions.detectBitrate($scope).then(function (bitrate) {
+        jellyfinActions.detectBitrate(server).then(function (bitrate) {
 
             console.log('Max bitrate auto detected to ' + bitrate);
-            lastBitrateDetect = new Date().getTime();
-            detectedBitrate = bitrate;
+            detectedBitrates[server.serverAddress] = {
+                bitrate: bitrate,
+                time: new Date().getTime()
+            };
 
-            resolve(detectedBitrate);
+            resolve(bitrate);
 
         }, function () {
 
@@ -519,10 +811,7 @@ export function validatePlaybackInfoResult(result) {
 
 export function showPlaybackInfoErrorMessage(errorCode) {
 
-    broadcastToMessageBus({
-        type: 'playbackerror',
-        message: errorCode
-    });
+    broadcastError(new ServerError(errorCode));
 }
 
 export function getOptimalMediaSource(versions) {
@@ -641,16 +930,25 @@ export function createMediaInformation(playSessionId, item, streamInfo) {
         accessToken: item.accessToken,
         canSeek: streamInfo.canSeek,
         canClientSeek: streamInfo.canClientSeek,
+        audioStreams: streamInfo.audioStreams || [],
         playSessionId: playSessionId
     }
 
     mediaInfo.metadata = getMetadata(item);
-
-    mediaInfo.streamType = cast.framework.messages.StreamType.BUFFERED;
     mediaInfo.tracks = streamInfo.tracks;
 
-    if (streamInfo.mediaSource.RunTimeTicks) {
-        mediaInfo.duration = Math.floor(streamInfo.mediaSource.RunTimeTicks / 10000000);
+    if (isLiveStream(item, streamInfo.mediaSource)) {
+        // Live streams have no end, a duration of -1 tells senders there is no seek bar to show
+        mediaInfo.streamType = cast.framework.messages.StreamType.LIVE;
+        mediaInfo.duration = -1;
+        mediaInfo.customData.isLive = true;
+        mediaInfo.customData.runtimeTicks = null;
+    } else {
+        mediaInfo.streamType = cast.framework.messages.StreamType.BUFFERED;
+
+        if (streamInfo.mediaSource.RunTimeTicks) {
+            mediaInfo.duration = Math.floor(streamInfo.mediaSource.RunTimeTicks / 10000000);
+        }
     }
 
     mediaInfo.customData.startPositionTicks = streamInfo.startPosition || 0;
@@ -658,26 +956,529 @@ export function createMediaInformation(playSessionId, item, streamInfo) {
     return mediaInfo;
 }
 
-playbackConfig.supportedCommands = cast.framework.messages.Command.ALL_BASIC_MEDIA;
+// Adjusted to the playing item by the touch controls
+playbackConfig.supportedCommands = cast.framework.messages.Command.ALL_BASIC_MEDIA |
+    cast.framework.messages.Command.QUEUE_NEXT |
+    cast.framework.messages.Command.QUEUE_PREV |
+    cast.framework.messages.Command.STREAM_TRANSFER;
 
-// Set the available buttons in the UI controls.
-const controls = cast.framework.ui.Controls.getInstance();
-controls.clearDefaultSlotAssignments();
+// The queue of the player mirrors the playlist, moving through it goes through the playlist as well
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.LOAD, function (request) {
+    var customData = (request.media && request.media.customData) || {};
 
-/* Disabled for now, dynamically set controls for each media type in the future.
-// Assign buttons to control slots.
-controls.assignButton(
-    cast.framework.ui.ControlsSlot.SLOT_SECONDARY_1,
-    cast.framework.ui.ControlsButton.CAPTIONS
-);*/
+    // The player moving on to an item without a stream by itself, the playlist takes care of that
+    if (customData.isPlaceholder) {
+        return null;
+    }
 
-controls.assignButton(
-    cast.framework.ui.ControlsSlot.SLOT_PRIMARY_1,
-    cast.framework.ui.ControlsButton.SEEK_BACKWARD_15
-);
-controls.assignButton(
-    cast.framework.ui.ControlsSlot.SLOT_PRIMARY_2,
-    cast.framework.ui.ControlsButton.SEEK_FORWARD_15
-);
+    // Sessions moved over from another device, their media still points to the streams of that device
+    if (request.customData && request.customData.jellyfinSession) {
+        resumeSession(request.customData.jellyfinSession);
+        return null;
+    }
+
+    // Streams resolved by the receiver itself
+    if (customData.playSessionId) {
+        return request;
+    }
+
+    // Jellyfin items requested by generic senders, the Google Home app or the Assistant
+    // Those senders only learn about failures through the error the request is rejected with
+    var itemIds = getRequestedItemIds(request);
+    if (itemIds.length) {
+        return loadRequestedItems(request, itemIds);
+    }
+
+    return request;
+});
+
+/**
+ * Jellyfin item ids, with or without dashes, standing on their own in an entity or content id.
+ */
+var itemIdPattern = /(?:^|[^0-9a-f])([0-9a-f]{32}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?![0-9a-f])/i;
+
+/**
+ * @param {cast.framework.messages.LoadRequestData} request Load request of a sender.
+ * @returns {string[]} Ids of the requested items, in play order. Empty if the request isn't for Jellyfin items.
+ */
+function getRequestedItemIds(request) {
+    var queueData = request.queueData;
+    var medias = queueData && queueData.items && queueData.items.length ?
+        queueData.items.slice(queueData.startIndex || 0).map(function (queueItem) {
+            return queueItem.media;
+        }) : [request.media];
+
+    var itemIds = [];
+    medias.forEach(function (media) {
+        var match = media && (media.entity || media.contentId || '').match(itemIdPattern);
+        if (match) {
+            itemIds.push(match[1].replace(/-/g, '').toLowerCase());
+        }
+    });
+
+    return itemIds;
+}
+
+/**
+ * Play items requested through a standard Cast LOAD as if the Jellyfin sender had asked for them.
+ * The server and credentials come from the custom data of the request, falling back to those of the sender that spoke last.
+ * @param {cast.framework.messages.LoadRequestData} request Load request of a sender.
+ * @param {string[]} itemIds Ids of the requested items.
+ * @returns {Promise} Promise resolving to null once the items play, rejecting with the error data for the sender otherwise.
+ */
+function loadRequestedItems(request, itemIds) {
+    var customData = extend(extend({}, request.customData || {}), request.media.customData || {});
+
+    var data = {
+        command: 'PlayNow',
+        serverAddress: customData.serverAddress || $scope.serverAddress,
+        accessToken: customData.accessToken || $scope.accessToken,
+        userId: customData.userId || $scope.userId,
+        options: {
+            senderId: request.senderId,
+            startPositionTicks: request.currentTime != null ? Math.floor(request.currentTime * 10000000) : null,
+            mediaSourceId: customData.mediaSourceId,
+            audioStreamIndex: customData.audioStreamIndex,
+            subtitleStreamIndex: customData.subtitleStreamIndex
+        }
+    };
+
+    if (!data.serverAddress || !data.accessToken || !data.userId) {
+        console.log('Not loading ' + itemIds.join(',') + ', the request has no server credentials');
+        return Promise.reject(createLoadError(cast.framework.messages.ErrorReason.INVALID_REQUEST));
+    }
+
+    return playRequestedItems(data, itemIds);
+}
+
+/**
+ * @param {cast.framework.messages.ErrorReason} reason Why the load failed.
+ * @returns {cast.framework.messages.ErrorData} Error to reject a load request with.
+ */
+function createLoadError(reason) {
+    var error = new cast.framework.messages.ErrorData(cast.framework.messages.ErrorType.LOAD_FAILED);
+    error.reason = reason;
+
+    return error;
+}
+
+/**
+ * Fetch items by id, in the order they were asked for.
+ * @param {Object} server Server holding the items, with serverAddress, accessToken and userId.
+ * @param {string[]} itemIds Ids of the items, in play order. The same item may be in there more than once.
+ * @param {AbortSignal} signal Signal aborting the request.
+ * @returns {Promise<Object[]>} Promise resolving to the items the server has.
+ */
+function getRequestedItems(server, itemIds, signal) {
+    return getItemsForPlayback(server.serverAddress, server.accessToken, server.userId, {
+        Ids: itemIds.join(','),
+        Limit: itemIds.length
+    }, signal).then(function (result) {
+        // Items come back in library order, play them in the requested one
+        return itemIds.map(function (itemId) {
+            var item = result.Items.find(function (item) {
+                return item.Id === itemId;
+            });
+
+            // Every entry gets its own playlist item id
+            return item ? extend({}, item) : null;
+        }).filter(function (item) {
+            return !!item;
+        });
+    });
+}
+
+/**
+ * Fetch items by id and play them through the regular handling of sender messages.
+ * @param {Object} data Message to handle, as a Jellyfin sender would send it.
+ * @param {string[]} itemIds Ids of the items, in play order. The same item may be in there more than once.
+ * @returns {Promise} Promise resolving to null once the items are handed over, rejecting with the error data for the sender otherwise.
+ */
+function playRequestedItems(data, itemIds) {
+    var signal = playbackMgr.renewRequestSignal();
+    return getRequestedItems(data, itemIds, signal).then(function (items) {
+        if (!items.length) {
+            console.log('Not loading ' + itemIds.join(',') + ', the server has no such items');
+            throw createLoadError(cast.framework.messages.ErrorReason.INVALID_PARAMS);
+        }
+
+        data.options.items = items;
+        processMessage(data);
+        return null;
+    }, function (err) {
+        // A newer request replaced this one, nothing to report
+        if (isAbortError(err)) {
+            return null;
+        }
+
+        onPlaybackRequestError(err);
+        throw createLoadError(cast.framework.messages.ErrorReason.GENERIC_LOAD_ERROR);
+    });
+}
+
+// Moving playback to another device, with the Google Home app or the Assistant, hands over all it takes to continue there
+// The access tokens of the servers go along in the session state, to the device taking over and the sender moving the session
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.SESSION_STATE, function (sessionState) {
+    var item = $scope.item;
+    if (!item || !sessionState.loadRequestData) {
+        return sessionState;
+    }
+
+    var playlist = playbackMgr.activePlaylist;
+    var playlistItem = playlist[playbackMgr.activePlaylistIndex];
+    var isInPlaylist = !!playlistItem && playlistItem.Id === item.Id;
+
+    // Queued items may come from different servers, each one is sent once and the items refer to theirs
+    var servers = [];
+    var items = (isInPlaylist ? playlist : [extend(getItemServer($scope), { Id: item.Id })]).map(function (queuedItem) {
+        var serverIndex = servers.findIndex(function (server) {
+            return server.serverAddress === queuedItem.serverAddress && server.userId === queuedItem.userId;
+        });
+
+        if (serverIndex === -1) {
+            serverIndex = servers.push({
+                serverAddress: queuedItem.serverAddress,
+                accessToken: queuedItem.accessToken,
+                userId: queuedItem.userId
+            }) - 1;
+        }
+
+        return {
+            id: queuedItem.Id,
+            server: serverIndex
+        };
+    });
+
+    sessionState.loadRequestData.customData = {
+        jellyfinSession: {
+            servers: servers,
+            items: items,
+            playlistIndex: isInPlaylist ? playbackMgr.activePlaylistIndex : 0,
+            positionTicks: Math.floor(getCurrentPositionTicks($scope)),
+            mediaSourceId: $scope.mediaSourceId,
+            audioStreamIndex: $scope.audioStreamIndex,
+            subtitleStreamIndex: $scope.subtitleStreamIndex,
+            repeatMode: window.repeatMode
+        }
+    };
+
+    // The transfer may still fail, this device reports the session stopped once it actually stops
+    return sessionState;
+});
+
+/**
+ * Pick up a session moved over from another device.
+ * @param {Object} session State of the session, as stored by the device it comes from.
+ */
+function resumeSession(session) {
+    if (!session.items || !session.items.length || !session.servers) {
+        console.log('Not resuming session, it has no items');
+        return;
+    }
+
+    window.repeatMode = session.repeatMode || window.repeatMode;
+
+    // Requests that aren't about an item go to the server of the playing one
+    var playingEntry = session.items[session.playlistIndex] || session.items[0];
+    var playingServer = session.servers[playingEntry.server];
+    $scope.userId = playingServer.userId;
+    $scope.accessToken = playingServer.accessToken;
+    $scope.serverAddress = playingServer.serverAddress;
+
+    session.servers.forEach(function (server) {
+        if (!reportedCapabilities[server.serverAddress]) {
+            reportDeviceCapabilities(server);
+        }
+    });
+
+    // The playlist is taken over as it was, without expanding items the way play requests do
+    var signal = playbackMgr.renewRequestSignal();
+    var requests = session.servers.map(function (server, serverIndex) {
+        var itemIds = session.items.filter(function (entry) {
+            return entry.server === serverIndex;
+        }).map(function (entry) {
+            return entry.id;
+        });
+
+        return getRequestedItems(server, itemIds, signal).then(function (serverItems) {
+            tagItems(serverItems, server);
+            return serverItems;
+        });
+    });
+
+    Promise.all(requests).then(function (itemsByServer) {
+        var items = [];
+        var startIndex = -1;
+        session.items.forEach(function (entry, index) {
+            var item = itemsByServer[entry.server].find(function (serverItem) {
+                return serverItem.Id === entry.id;
+            });
+
+            if (!item) {
+                return;
+            }
+
+            if (index === session.playlistIndex) {
+                startIndex = items.length;
+            }
+
+            // Every entry gets its own playlist item id
+            items.push(extend({}, item));
+        });
+
+        if (!items.length) {
+            console.log('Not resuming session, the servers have none of its items');
+            return;
+        }
+
+        // Without the playing item, which the server no longer has, the playlist starts over
+        if (startIndex === -1) {
+            playbackMgr.playFromOptions({
+                items: items,
+                startIndex: 0,
+                startPositionTicks: 0
+            });
+            return;
+        }
+
+        playbackMgr.playFromOptions({
+            items: items,
+            startIndex: startIndex,
+            startPositionTicks: session.positionTicks || 0,
+            mediaSourceId: session.mediaSourceId,
+            audioStreamIndex: session.audioStreamIndex,
+            subtitleStreamIndex: session.subtitleStreamIndex
+        });
+    }, onPlaybackRequestError);
+}
+
+// Senders show the whole item on their seek bar, while transcodes only hold the part after where they started
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.SEEK, function (request) {
+    var mediaInformation = window.mediaManager.getMediaInformation();
+    if (!mediaInformation || !mediaInformation.customData) {
+        return request;
+    }
+
+    var positionTicks;
+    if (request.relativeTime != null) {
+        positionTicks = getCurrentPositionTicks($scope) + request.relativeTime * 10000000;
+    } else if (request.currentTime != null) {
+        positionTicks = request.currentTime * 10000000;
+    } else {
+        // Only pausing or resuming along with the seek
+        return request;
+    }
+    positionTicks = Math.max(0, Math.floor(positionTicks));
+
+    if (mediaInformation.customData.canClientSeek) {
+        // The stream spans the whole item, the player can take it from here
+        request.currentTime = timeShiftMgr.clamp(positionTicks / 10000000);
+        request.relativeTime = undefined;
+        return request;
+    }
+
+    if (mediaInformation.customData.isLive) {
+        console.log('Ignoring seek, live stream can not be time-shifted');
+        return null;
+    }
+
+    // Restarts the transcode at the position
+    seek(positionTicks);
+    return null;
+});
+
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.QUEUE_NEXT, function () {
+    playbackMgr.playNextItem({}, true);
+    return null;
+});
+
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.QUEUE_PREV, function () {
+    playbackMgr.playPreviousItem({});
+    return null;
+});
+
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.QUEUE_UPDATE, function (request) {
+    if (request.currentItemId != null) {
+        playbackMgr.playItemAtIndex(playbackMgr.getPlaylistIndex(request.currentItemId), {});
+        return null;
+    }
+
+    if (request.jump === 1) {
+        playbackMgr.playNextItem({}, true);
+        return null;
+    }
+
+    if (request.jump === -1) {
+        playbackMgr.playPreviousItem({});
+        return null;
+    }
+
+    if (request.jump) {
+        playbackMgr.playItemAtIndex(playbackMgr.activePlaylistIndex + request.jump, {});
+        return null;
+    }
+
+    // The shuffle and repeat buttons of the touch controls
+    if (request.shuffle != null || request.repeatMode) {
+        if (request.repeatMode) {
+            setRepeatMode(request.repeatMode);
+        }
+        if (request.shuffle != null) {
+            setShuffleMode(request.shuffle ? 'Shuffle' : 'Sorted');
+        }
+        return null;
+    }
+
+    return request;
+});
+
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.QUEUE_SHUFFLE, function () {
+    setShuffleMode('Shuffle');
+    return null;
+});
+
+// Tracks picked by senders or in the touch controls switch streams the way the server needs it
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.EDIT_TRACKS_INFO, function (request) {
+    var mediaSource = $scope.PlaybackMediaSource;
+    if (!mediaSource) {
+        return request;
+    }
+
+    if (request.activeTrackIds) {
+        selectTracks(request.activeTrackIds);
+    } else if (request.enableTextTracks === false) {
+        selectSubtitleStream(-1);
+    } else if (request.language) {
+        var subtitleStream = findStreamByLanguage(mediaSource.MediaStreams, 'Subtitle', request.language);
+        if (subtitleStream) {
+            selectSubtitleStream(subtitleStream.Index);
+        } else {
+            console.log('Not changing subtitles, the item has none in ' + request.language);
+        }
+    } else {
+        // Only the style of the subtitles, the player applies that itself
+        return request;
+    }
+
+    if (request.textTrackStyle) {
+        window.mediaManager.getTextTracksManager().setTextTrackStyle(request.textTrackStyle);
+    }
+
+    return null;
+});
+
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.EDIT_AUDIO_TRACKS, function (request) {
+    var mediaSource = $scope.PlaybackMediaSource;
+    if (!mediaSource || !request.language) {
+        return request;
+    }
+
+    var audioStream = findStreamByLanguage(mediaSource.MediaStreams, 'Audio', request.language);
+    if (audioStream) {
+        selectAudioStream(audioStream.Index);
+    } else {
+        console.log('Not changing audio, the item has none in ' + request.language);
+    }
+
+    return null;
+});
+
+mgr.setMessageInterceptor(cast.framework.messages.MessageType.USER_ACTION, function (request) {
+    if (request.userAction !== cast.framework.messages.UserAction.LIKE) {
+        return request;
+    }
+
+    touch.setFavorite(!request.clear);
+    return null;
+});
+
+/**
+ * Switch to the audio and subtitle streams of the tracks the player was asked to show.
+ * @param {number[]} activeTrackIds Ids of the tracks, which are the indexes of the streams.
+ */
+function selectTracks(activeTrackIds) {
+    var findStream = function (type) {
+        return $scope.PlaybackMediaSource.MediaStreams.find(function (stream) {
+            return stream.Type === type && activeTrackIds.indexOf(stream.Index) !== -1;
+        });
+    };
+
+    var audioStream = findStream('Audio');
+    var subtitleStream = findStream('Subtitle');
+    var subtitleStreamIndex = subtitleStream ? subtitleStream.Index : -1;
+
+    if (!audioStream || audioStream.Index === getActiveAudioStreamIndex()) {
+        selectSubtitleStream(subtitleStreamIndex);
+        return;
+    }
+
+    if (subtitleStreamIndex === getActiveSubtitleStreamIndex()) {
+        selectAudioStream(audioStream.Index);
+        return;
+    }
+
+    // Both change, a single new stream lets the server pick how to deliver the subtitles along with the audio
+    changeStream(getCurrentPositionTicks($scope), {
+        AudioStreamIndex: audioStream.Index,
+        SubtitleStreamIndex: subtitleStreamIndex
+    });
+    reportEvent('audiotrackchange', true);
+}
+
+/**
+ * @param {number} index Index of the audio stream to play.
+ */
+function selectAudioStream(index) {
+    if (index === getActiveAudioStreamIndex()) {
+        return;
+    }
+
+    setAudioStreamIndex($scope, index);
+    reportEvent('audiotrackchange', true);
+}
+
+/**
+ * @param {number} index Index of the subtitle stream to show, -1 to turn subtitles off.
+ */
+function selectSubtitleStream(index) {
+    if (index === getActiveSubtitleStreamIndex()) {
+        return;
+    }
+
+    setSubtitleStreamIndex($scope, index);
+    reportEvent('subtitletrackchange', true);
+}
+
+function getActiveAudioStreamIndex() {
+    return $scope.audioStreamIndex == null ? $scope.PlaybackMediaSource.DefaultAudioStreamIndex : $scope.audioStreamIndex;
+}
+
+function getActiveSubtitleStreamIndex() {
+    return $scope.subtitleStreamIndex == null ? -1 : $scope.subtitleStreamIndex;
+}
+
+/**
+ * @param {string} repeatMode Repeat mode of the Cast queue.
+ */
+function setRepeatMode(repeatMode) {
+    var RepeatMode = cast.framework.messages.RepeatMode;
+    switch (repeatMode) {
+        case RepeatMode.REPEAT_SINGLE:
+            window.repeatMode = 'RepeatOne';
+            break;
+        case RepeatMode.REPEAT_ALL:
+            window.repeatMode = 'RepeatAll';
+            break;
+        case RepeatMode.REPEAT_ALL_AND_SHUFFLE:
+            window.repeatMode = 'RepeatAll';
+            setShuffleMode('Shuffle');
+            break;
+        default:
+            window.repeatMode = 'RepeatNone';
+            break;
+    }
+
+    reportEvent('repeatmodechange', true);
+}
 
 window.castReceiverContext.start(playbackConfig);
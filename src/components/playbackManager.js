@@ -2,10 +2,13 @@ import {
     getNextPlaybackItemInfo,
     getIntros,
     setAppStatus,
-    broadcastConnectionErrorMessage,
+    broadcastError,
     tagItems,
     getReportingParams,
-    createStreamInfo
+    getMetadata,
+    getNowPlayingQueue,
+    createStreamInfo,
+    broadcastToMessageBus
 } from "../helpers";
 
 import {
@@ -13,22 +16,54 @@ import {
     getMaxBitrate,
     getDeviceProfile,
     getOptimalMediaSource,
-    showPlaybackInfoErrorMessage,
     supportsDirectPlay,
     createMediaInformation
 } from "./maincontroller";
 
 import { factory as jellyfinActions } from "./jellyfinactions";
+import { isAbortError } from "./fetchhelper";
+import { ServerError } from "./errors";
+
+/**
+ * Seconds before the end of an item the player starts loading the prepared next item.
+ */
+const preloadTime = 20;
+
+/**
+ * Number of playlist item ids handed out so far, ids stay unique for the lifetime of the receiver.
+ */
+let playlistItemCount = 0;
 
 export class playbackManager {
-    constructor(castContext, playerManager) {
+    constructor(castContext, playerManager, transcodeManager, resumePrompt) {
         // Parameters
         this.castContext = castContext;
         this.playerManager = playerManager;
+        this.transcodeManager = transcodeManager;
+        this.resumePrompt = resumePrompt;
 
         // Properties
         this.activePlaylist = [];
         this.activePlaylistIndex = 0;
+        this.originalPlaylist = null;
+        this.requestController = null;
+        this.preparedItem = null;
+        // Stopping the current item to play another one finishes it, that mustn't end playback
+        this.isSwitchingItem = false;
+    }
+
+    /**
+     * Abort the requests still pending for a previously requested item
+     * and get a signal for the requests of the next one.
+     * @returns {AbortSignal} Signal aborted once another item is requested.
+     */
+    renewRequestSignal() {
+        if (this.requestController) {
+            this.requestController.abort();
+        }
+
+        this.requestController = new AbortController();
+        return this.requestController.signal;
     }
 
     isPlaying() {
@@ -37,13 +72,36 @@ export class playbackManager {
 
     async playFromOptions(options) {
         const firstItem = options.items[0];
+        const signal = this.renewRequestSignal();
+
+        // Without a position from the sender, ask whether to continue where the user left off
+        if (options.startPositionTicks == null) {
+            try {
+                options.startPositionTicks = await this.resumePrompt.ask(firstItem, signal);
+            } catch (err) {
+                // Another item was requested in the meantime
+                return;
+            }
+        }
 
-        if (options.startPositionTicks || firstItem.MediaType !== 'Video') {
+        // Playlists picked up at some item, like transferred sessions, are well past any intros
+        if (options.startPositionTicks || options.startIndex != null || firstItem.MediaType !== 'Video' || firstItem.Type === 'TvChannel') {
             this.playFromOptionsInternal(options);
             return;
         }
 
-        let intros = await getIntros(firstItem.serverAddress, firstItem.accessToken, firstItem.userId, firstItem);
+        let intros;
+        try {
+            intros = await getIntros(firstItem.serverAddress, firstItem.accessToken, firstItem.userId, firstItem, signal);
+        } catch (err) {
+            if (isAbortError(err)) {
+                return;
+            }
+
+            // Intros are optional, play the requested items without them
+            intros = { Items: [] };
+        }
+
         tagItems(intros.Items, {
             userId: firstItem.userId,
             accessToken: firstItem.accessToken,
@@ -57,9 +115,19 @@ export class playbackManager {
         const stopPlayer = this.activePlaylist && this.activePlaylist.length > 0;
 
         this.activePlaylist = options.items;
-        this.activePlaylist.currentPlaylistIndex = -1;
+        assignPlaylistItemIds(this.activePlaylist);
+        window.currentPlaylistIndex = -1;
+
+        // A new playlist plays in the order it was requested in
+        this.originalPlaylist = null;
+        window.shuffleMode = 'Sorted';
         window.playlist = this.activePlaylist;
 
+        if (options.startIndex) {
+            this.playItemAtIndex(options.startIndex, options, stopPlayer);
+            return;
+        }
+
         this.playNextItem(options, stopPlayer);
     }
 
@@ -67,8 +135,18 @@ export class playbackManager {
 
         var nextItemInfo = getNextPlaybackItemInfo();
 
+        // Every round through a shuffled playlist gets an order of its own
+        if (nextItemInfo && nextItemInfo.index < this.activePlaylistIndex && window.shuffleMode === 'Shuffle') {
+            this.reshuffle();
+            nextItemInfo = {
+                item: this.activePlaylist[0],
+                index: 0
+            };
+        }
+
         if (nextItemInfo) {
             this.activePlaylistIndex = nextItemInfo.index;
+            window.currentPlaylistIndex = nextItemInfo.index;
 
             var item = nextItemInfo.item;
 
@@ -82,6 +160,7 @@ export class playbackManager {
     playPreviousItem(options) {
         if (this.activePlaylist && this.activePlaylistIndex > 0) {
             this.activePlaylistIndex--;
+            window.currentPlaylistIndex = this.activePlaylistIndex;
 
             var item = this.activePlaylist[this.activePlaylistIndex];
 
@@ -91,53 +170,285 @@ export class playbackManager {
         return false;
     }
 
+    /**
+     * @param {number} index Index of the item in the playlist.
+     * @param {Object} options Playback options.
+     * @param {boolean} [stopPlayer=true] Whether the player has to stop the playing item first.
+     * @returns {boolean} Whether the playlist has an item at the index.
+     */
+    playItemAtIndex(index, options, stopPlayer) {
+        if (!this.activePlaylist || index < 0 || index >= this.activePlaylist.length) {
+            return false;
+        }
+
+        this.activePlaylistIndex = index;
+        window.currentPlaylistIndex = index;
+
+        this.playItem(this.activePlaylist[index], options || {}, stopPlayer !== false);
+        return true;
+    }
+
+    /**
+     * Add items to the playlist.
+     * @param {Object[]} items Items to add.
+     * @param {string} method PlayNext to add them after the playing item, PlayLast to add them at the end.
+     */
+    queue(items, method) {
+        assignPlaylistItemIds(items);
+
+        if (method === 'PlayNext' && this.activePlaylistIndex >= 0 && this.activePlaylistIndex < this.activePlaylist.length) {
+            this.activePlaylist.splice(this.activePlaylistIndex + 1, 0, ...items);
+        } else {
+            this.activePlaylist.push(...items);
+        }
+
+        // Items queued while shuffled stay in the playlist once the order is restored
+        if (this.originalPlaylist) {
+            this.originalPlaylist.push(...items);
+        }
+
+        this.onPlaylistChange();
+    }
+
+    /**
+     * @param {string[]} playlistItemIds Playlist item ids of the items to remove.
+     * Removing the playing item moves on to the one taking its place.
+     */
+    removeFromPlaylist(playlistItemIds) {
+        const playingItem = this.activePlaylist[this.activePlaylistIndex];
+        const removed = (item) => playlistItemIds.indexOf(item.PlaylistItemId) !== -1;
+
+        const isPlayingItemRemoved = !!playingItem && removed(playingItem);
+        const nextIndex = this.activePlaylist.slice(0, this.activePlaylistIndex).filter((item) => !removed(item)).length;
+
+        this.activePlaylist = this.activePlaylist.filter((item) => !removed(item));
+        this.activePlaylistIndex = isPlayingItemRemoved ? nextIndex : this.activePlaylist.indexOf(playingItem);
+
+        this.onPlaylistChange();
+
+        if (!isPlayingItemRemoved) {
+            return;
+        }
+
+        if (!this.playItemAtIndex(nextIndex, {})) {
+            this.stop();
+        }
+    }
+
+    /**
+     * @param {string} playlistItemId Playlist item id of the item to move.
+     * @param {number} newIndex Index the item moves to.
+     * @returns {boolean} Whether the item was moved.
+     */
+    movePlaylistItem(playlistItemId, newIndex) {
+        const index = this.activePlaylist.findIndex((item) => item.PlaylistItemId === playlistItemId);
+        if (index === -1) {
+            console.log("Not moving " + playlistItemId + ", the playlist has no such item");
+            return false;
+        }
+
+        if (!Number.isInteger(newIndex) || newIndex < 0 || newIndex >= this.activePlaylist.length) {
+            console.log("Not moving " + playlistItemId + ", index " + newIndex + " is outside of the playlist");
+            return false;
+        }
+
+        const playingItem = this.activePlaylist[this.activePlaylistIndex];
+        const [movedItem] = this.activePlaylist.splice(index, 1);
+        this.activePlaylist.splice(newIndex, 0, movedItem);
+
+        if (playingItem) {
+            this.activePlaylistIndex = this.activePlaylist.indexOf(playingItem);
+        }
+
+        this.onPlaylistChange();
+
+        return true;
+    }
+
+    /**
+     * Remove everything but the playing item from the playlist.
+     */
+    clearPlaylist() {
+        const playingItem = this.activePlaylist[this.activePlaylistIndex];
+
+        this.activePlaylist = playingItem ? [playingItem] : [];
+        this.activePlaylistIndex = playingItem ? 0 : -1;
+
+        this.onPlaylistChange();
+    }
+
+    /**
+     * Shuffle the playlist in place or restore its original order. The playing item keeps playing either way.
+     * @param {string} shuffleMode Shuffle to shuffle the playlist, Sorted to restore its order.
+     */
+    setShuffleMode(shuffleMode) {
+        const playingItem = this.activePlaylist[this.activePlaylistIndex];
+
+        if (shuffleMode === 'Shuffle') {
+            if (!this.originalPlaylist) {
+                this.originalPlaylist = this.activePlaylist.slice();
+            }
+
+            // The playing item goes first, so everything else is still to come
+            const otherItems = shuffleItems(this.activePlaylist.filter((item) => item !== playingItem));
+            this.activePlaylist = playingItem ? [playingItem].concat(otherItems) : otherItems;
+        } else if (this.originalPlaylist) {
+            // Items removed while shuffled stay removed
+            const remainingItems = this.activePlaylist;
+            this.activePlaylist = this.originalPlaylist.filter((item) => remainingItems.indexOf(item) !== -1);
+            this.originalPlaylist = null;
+        }
+
+        window.shuffleMode = shuffleMode === 'Shuffle' ? 'Shuffle' : 'Sorted';
+        this.activePlaylistIndex = playingItem ? this.activePlaylist.indexOf(playingItem) : -1;
+
+        this.onPlaylistChange();
+    }
+
+    /**
+     * Shuffle the whole playlist again once the last item of a shuffled round finished.
+     * The item that just played doesn't start the new round, unless it is the only one.
+     */
+    reshuffle() {
+        const finishedItem = this.activePlaylist[this.activePlaylistIndex];
+        const items = shuffleItems(this.activePlaylist.slice());
+        if (items.length > 1 && items[0] === finishedItem) {
+            [items[0], items[items.length - 1]] = [items[items.length - 1], items[0]];
+        }
+
+        this.activePlaylist = items;
+        this.activePlaylistIndex = 0;
+
+        this.onPlaylistChange();
+    }
+
+    /**
+     * Publish the playlist after it changed, to the player queue and the senders.
+     */
+    onPlaylistChange() {
+        window.playlist = this.activePlaylist;
+        window.currentPlaylistIndex = this.activePlaylistIndex;
+
+        this.syncQueue();
+
+        const playingItem = this.activePlaylist[this.activePlaylistIndex];
+        broadcastToMessageBus({
+            type: 'queuechange',
+            data: {
+                NowPlayingQueue: getNowPlayingQueue(),
+                PlaylistItemId: playingItem ? playingItem.PlaylistItemId : null,
+                PlaylistIndex: this.activePlaylistIndex
+            }
+        });
+    }
+
+    /**
+     * Rebuild the queue of the player around the playing item.
+     */
+    syncQueue() {
+        const queueManager = this.playerManager.getQueueManager();
+        const currentQueueItem = queueManager.getCurrentItem();
+        if (!currentQueueItem || !this.activePlaylist[this.activePlaylistIndex]) {
+            return;
+        }
+
+        const otherItemIds = (queueManager.getItems() || [])
+            .map((queueItem) => queueItem.itemId)
+            .filter((itemId) => itemId !== currentQueueItem.itemId);
+        if (otherItemIds.length) {
+            queueManager.removeItems(otherItemIds);
+        }
+
+        const itemsBefore = this.activePlaylist.slice(0, this.activePlaylistIndex).map(createPlaceholderItem);
+        const itemsAfter = this.activePlaylist.slice(this.activePlaylistIndex + 1).map(createPlaceholderItem);
+        if (itemsBefore.length) {
+            queueManager.insertItems(itemsBefore, currentQueueItem.itemId);
+        }
+        if (itemsAfter.length) {
+            queueManager.insertItems(itemsAfter);
+        }
+
+        // The next item may have changed, its stream has to be resolved again
+        this.prepareNextItem();
+    }
+
+    /**
+     * @param {number} queueItemId Id the player gave to an item of its queue.
+     * @returns {number} Index of the item in the playlist, -1 if the player has no such item.
+     */
+    getPlaylistIndex(queueItemId) {
+        const queueItems = this.playerManager.getQueueManager().getItems() || [];
+        return queueItems.findIndex((queueItem) => queueItem.itemId === queueItemId);
+    }
+
     async playItem(item, options, stopPlayer) {
+        const signal = this.renewRequestSignal();
+        this.preparedItem = null;
+
         if (stopPlayer) {
             await this.stop("none");
         }
 
-        onStopPlayerBeforePlaybackDone(item, options);
+        if (!signal.aborted) {
+            onStopPlayerBeforePlaybackDone(item, options, signal);
+        }
     }
 
-    async playItemInternal(item, options) {
+    async playItemInternal(item, options, signal) {
         $scope.isChangingStream = false;
         setAppStatus('loading');
 
-        const maxBitrate = await getMaxBitrate(item.MediaType);
-        const deviceProfile = await getDeviceProfile(maxBitrate);
-        const playbackInfo = await jellyfinActions.getPlaybackInfo(
-            item,
-            maxBitrate,
-            deviceProfile,
-            options.startPositionTicks,
-            options.mediaSourceId,
-            options.audioStreamIndex,
-            options.subtitleStreamIndex)
-            .catch(broadcastConnectionErrorMessage);
+        try {
+            const maxBitrate = await getMaxBitrate(item.MediaType, item);
+            if (signal && signal.aborted) {
+                return;
+            }
 
-        if (playbackInfo.ErrorCode) {
-            return showPlaybackInfoErrorMessage(playbackInfo.ErrorCode);
-        }
-
-        const mediaSource = await getOptimalMediaSource(playbackInfo.MediaSources);
-        if (!mediaSource) {
-            return showPlaybackInfoErrorMessage('NoCompatibleStream');
-        }
-
-        let itemToPlay = mediaSource;
-        if (mediaSource.RequiresOpening) {
-            const openLiveStreamResult = await jellyfinActions.getLiveStream(item,
-                playbackInfo.PlaySessionId,
+            const deviceProfile = await getDeviceProfile(maxBitrate);
+            const playbackInfo = await jellyfinActions.getPlaybackInfo(
+                item,
                 maxBitrate,
                 deviceProfile,
                 options.startPositionTicks,
-                mediaSource,
-                null, null);
-            openLiveStreamResult.MediaSource.enableDirectPlay = supportsDirectPlay(openLiveStreamResult.MediaSource);
-            itemToPlay = openLiveStreamResult.MediaSource;
+                options.mediaSourceId,
+                options.audioStreamIndex,
+                options.subtitleStreamIndex,
+                null,
+                signal);
+
+            if (playbackInfo.ErrorCode) {
+                throw new ServerError(playbackInfo.ErrorCode);
+            }
+
+            const mediaSource = await getOptimalMediaSource(playbackInfo.MediaSources);
+            if (!mediaSource) {
+                throw new ServerError('NoCompatibleStream');
+            }
+
+            let itemToPlay = mediaSource;
+            if (mediaSource.RequiresOpening) {
+                const openLiveStreamResult = await jellyfinActions.getLiveStream(item,
+                    playbackInfo.PlaySessionId,
+                    maxBitrate,
+                    deviceProfile,
+                    options.startPositionTicks,
+                    mediaSource,
+                    null, null,
+                    signal);
+                openLiveStreamResult.MediaSource.enableDirectPlay = supportsDirectPlay(openLiveStreamResult.MediaSource);
+                itemToPlay = openLiveStreamResult.MediaSource;
+            }
+
+            this.playMediaSource(playbackInfo.PlaySessionId, item, itemToPlay, options);
+        } catch (err) {
+            // A newer request replaced this one, nothing to report
+            if (isAbortError(err)) {
+                return;
+            }
+
+            console.log("Playing item failed: " + err);
+            broadcastError(err);
         }
-
-        this.playMediaSource(playbackInfo.PlaySessionId, item, itemToPlay, options);
     }
 
     playMediaSource(playSessionId, item, mediaSource, options) {
@@ -149,9 +460,7 @@ export class playbackManager {
         var url = streamInfo.url;
 
         var mediaInfo = createMediaInformation(playSessionId, item, streamInfo);
-        var loadRequestData = new cast.framework.messages.LoadRequestData();
-        loadRequestData.media = mediaInfo;
-        loadRequestData.autoplay = true;
+        var loadRequestData = this.createLoadRequest(mediaInfo);
 
         jellyfinActions.load($scope, mediaInfo.customData, item);
         this.playerManager.load(loadRequestData);
@@ -163,9 +472,9 @@ export class playbackManager {
 
         let backdropUrl;
         if (item.BackdropImageTags && item.BackdropImageTags.length) {
-            backdropUrl = $scope.serverAddress + '/emby/Items/' + item.Id + '/Images/Backdrop/0?tag=' + item.BackdropImageTags[0];
+            backdropUrl = item.serverAddress + '/emby/Items/' + item.Id + '/Images/Backdrop/0?tag=' + item.BackdropImageTags[0];
         } else if (item.ParentBackdropItemId && item.ParentBackdropImageTags && item.ParentBackdropImageTags.length) {
-            backdropUrl = $scope.serverAddress + '/emby/Items/' + item.ParentBackdropItemId + '/Images/Backdrop/0?tag=' + item.ParentBackdropImageTags[0];
+            backdropUrl = item.serverAddress + '/emby/Items/' + item.ParentBackdropItemId + '/Images/Backdrop/0?tag=' + item.ParentBackdropImageTags[0];
         }
 
         if (backdropUrl) {
@@ -176,6 +485,7 @@ export class playbackManager {
         }
 
         jellyfinActions.reportPlaybackStart($scope, getReportingParams($scope));
+        this.transcodeManager.start(mediaInfo.customData);
 
         // We use false as we do not want to broadcast the new status yet
         // we will broadcast manually when the media has been loaded, this
@@ -183,7 +493,158 @@ export class playbackManager {
         this.playerManager.setMediaInformation(mediaInfo, false);
     }
 
+    /**
+     * @param {cast.framework.messages.MediaInformation} mediaInfo Media of the playing item.
+     * @returns {cast.framework.messages.LoadRequestData} Request loading the media along with the rest of the playlist,
+     * so senders and the touch controls see what comes next.
+     */
+    createLoadRequest(mediaInfo) {
+        const loadRequestData = new cast.framework.messages.LoadRequestData();
+        loadRequestData.media = mediaInfo;
+        loadRequestData.autoplay = true;
+
+        const playlist = this.activePlaylist || [];
+        const index = this.activePlaylistIndex;
+        if (playlist.length > 1 && index >= 0 && index < playlist.length) {
+            const queueData = new cast.framework.messages.QueueData();
+            queueData.items = playlist.map((item, i) => i === index ? createQueueItem(mediaInfo) : createPlaceholderItem(item));
+            queueData.startIndex = index;
+            loadRequestData.queueData = queueData;
+        }
+
+        return loadRequestData;
+    }
+
+    /**
+     * Called once the player loaded a stream, the switch to it is done.
+     */
+    onLoadComplete() {
+        this.isSwitchingItem = false;
+        this.prepareNextItem();
+    }
+
+    /**
+     * Resolve the stream of the next audio item while the current one plays and queue it in the player.
+     * The player preloads it ahead of the end of the current item and starts it without a gap.
+     */
+    async prepareNextItem() {
+        // Every load replaces the queue of the player, changing streams included
+        this.preparedItem = null;
+
+        const currentItem = $scope.item;
+        if (!currentItem || currentItem.MediaType !== 'Audio' || window.repeatMode === 'RepeatOne') {
+            return;
+        }
+
+        // The player only moves forward through its queue, wrapping around is up to the playlist
+        const nextItemInfo = getNextPlaybackItemInfo();
+        if (!nextItemInfo || nextItemInfo.item.MediaType !== 'Audio' || nextItemInfo.index <= this.activePlaylistIndex) {
+            return;
+        }
+
+        // Aborted as soon as anything else is requested, the preparation is stale then
+        const signal = this.requestController ? this.requestController.signal : null;
+        const item = nextItemInfo.item;
+
+        try {
+            const maxBitrate = await getMaxBitrate(item.MediaType, item);
+            const deviceProfile = await getDeviceProfile(maxBitrate);
+            const playbackInfo = await jellyfinActions.getPlaybackInfo(item, maxBitrate, deviceProfile, 0, null, null, null, null, signal);
+            if (playbackInfo.ErrorCode) {
+                return;
+            }
+
+            const mediaSource = await getOptimalMediaSource(playbackInfo.MediaSources);
+            if (!mediaSource || mediaSource.RequiresOpening || (signal && signal.aborted) || $scope.item !== currentItem) {
+                return;
+            }
+
+            const streamInfo = createStreamInfo(item, mediaSource, 0);
+            const mediaInfo = createMediaInformation(playbackInfo.PlaySessionId, item, streamInfo);
+
+            // Swap the placeholder of the item for its stream
+            const queueManager = this.playerManager.getQueueManager();
+            const queueItem = (queueManager.getItems() || [])[nextItemInfo.index];
+            if (!queueItem || !queueItem.media.customData || queueItem.media.customData.itemId !== item.Id) {
+                return;
+            }
+
+            queueItem.media = mediaInfo;
+            queueItem.autoplay = true;
+            queueItem.preloadTime = preloadTime;
+            queueManager.updateItems([queueItem]);
+
+            this.preparedItem = {
+                index: nextItemInfo.index,
+                item: item,
+                mediaSource: mediaSource,
+                mediaInfo: mediaInfo
+            };
+        } catch (err) {
+            // The item gets another chance the regular way once the current one ended
+            if (!isAbortError(err)) {
+                console.log("Preparing next item failed: " + err);
+            }
+        }
+    }
+
+    /**
+     * @returns {?Object} The next item if its stream is queued in the player.
+     */
+    getPreparedItem() {
+        return this.preparedItem ? this.preparedItem.item : null;
+    }
+
+    /**
+     * Move on to the next item of the playlist once the current one finished.
+     * @param {cast.framework.events.MediaFinishedEvent} event Event of the item that finished.
+     * @returns {boolean} Whether playback continues with another item.
+     */
+    onMediaFinished(event) {
+        const prepared = this.preparedItem;
+        this.preparedItem = null;
+
+        const EndedReason = cast.framework.events.EndedReason;
+
+        if (event.endedReason === EndedReason.STOPPED && this.isSwitchingItem) {
+            this.isSwitchingItem = false;
+            return true;
+        }
+
+        if (event.endedReason !== EndedReason.END_OF_STREAM) {
+            return false;
+        }
+
+        if (!prepared) {
+            // Items the player has no stream for yet are played the regular way
+            if (!getNextPlaybackItemInfo()) {
+                return false;
+            }
+
+            // The finished item was reported stopped when it ended
+            this.transcodeManager.stop();
+            return this.playNextItem({}, false);
+        }
+
+        this.activePlaylistIndex = prepared.index;
+        window.currentPlaylistIndex = prepared.index;
+
+        // The finished item was reported stopped when it ended
+        this.transcodeManager.stop();
+
+        jellyfinActions.load($scope, prepared.mediaInfo.customData, prepared.item);
+        $scope.PlaybackMediaSource = prepared.mediaSource;
+        $scope.mediaSource = prepared.mediaSource;
+
+        jellyfinActions.reportPlaybackStart($scope, getReportingParams($scope));
+        this.transcodeManager.start(prepared.mediaInfo.customData);
+
+        return true;
+    }
+
     stop(nextMode) {
+        this.preparedItem = null;
+        this.isSwitchingItem = !!nextMode;
 
         $scope.playNextItem = nextMode ? true : false;
         jellyfinActions.stop($scope);
@@ -192,7 +653,7 @@ export class playbackManager {
 
         var promise;
 
-        jellyfinActions.stopPingInterval();
+        this.transcodeManager.stop();
 
         if (reportingParams.ItemId) {
             promise = jellyfinActions.reportPlaybackStopped($scope, reportingParams);
@@ -200,12 +661,81 @@ export class playbackManager {
 
         this.playerManager.stop();
 
-        this.activePlaylist = [];
-        this.activePlaylistIndex = -1;
-        jellyfinActions.displayUserInfo($scope, $scope.serverAddress, $scope.accessToken, $scope.userId);
+        // Another item of the playlist is about to play
+        if (!nextMode) {
+            this.activePlaylist = [];
+            this.activePlaylistIndex = -1;
+            this.originalPlaylist = null;
+            window.playlist = this.activePlaylist;
+            window.currentPlaylistIndex = -1;
+
+            // Only the end of playback goes back to the home screen, not every change of item
+            jellyfinActions.displayUserInfo($scope, $scope.serverAddress, $scope.accessToken, $scope.userId);
+        }
 
         promise = promise || Promise.resolve();
 
         return promise;
     }
 }
+
+/**
+ * Give items an id telling them apart in the playlist, even when the same item is queued twice.
+ * @param {Object[]} items Items about to join the playlist.
+ */
+function assignPlaylistItemIds(items) {
+    for (const item of items) {
+        item.PlaylistItemId = 'playlistItem' + playlistItemCount++;
+    }
+}
+
+/**
+ * Shuffle items in place.
+ * @param {Object[]} items Items to shuffle.
+ * @returns {Object[]} The same array, shuffled.
+ */
+function shuffleItems(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+
+    return items;
+}
+
+/**
+ * @param {cast.framework.messages.MediaInformation} media Media of the item.
+ * @returns {cast.framework.messages.QueueItem} Item for the queue of the player.
+ */
+function createQueueItem(media) {
+    const queueItem = new cast.framework.messages.QueueItem();
+    queueItem.media = media;
+    queueItem.autoplay = true;
+
+    return queueItem;
+}
+
+/**
+ * @param {Object} item Item of the playlist.
+ * @returns {cast.framework.messages.QueueItem} Queue item describing an item whose stream is resolved once it plays.
+ */
+function createPlaceholderItem(item) {
+    const media = new cast.framework.messages.MediaInformation();
+    media.contentId = item.Id;
+    media.streamType = cast.framework.messages.StreamType.BUFFERED;
+    media.metadata = getMetadata(item);
+    media.customData = {
+        itemId: item.Id,
+        isPlaceholder: true
+    };
+
+    if (item.RunTimeTicks) {
+        media.duration = Math.floor(item.RunTimeTicks / 10000000);
+    }
+
+    // The player must not move on to an item it has no stream for, playNextItem takes care of those
+    const queueItem = createQueueItem(media);
+    queueItem.autoplay = false;
+
+    return queueItem;
+}
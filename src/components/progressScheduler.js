@@ -0,0 +1,69 @@
+/**
+ * Minimum time between two progress updates broadcast to the sender.
+ */
+const senderInterval = 1500;
+
+/**
+ * Minimum time between two progress reports sent to the server, which only needs
+ * them for resume points. Senders get theirs more often to keep their seek bars smooth.
+ */
+const serverInterval = 10000;
+
+/**
+ * Decides when playback progress gets reported.
+ *
+ * Time updates of the player only produce a report once one is due,
+ * while state changes like pausing or seeking are reported right away
+ * and restart both intervals.
+ */
+export class progressScheduler {
+    /**
+     * @param {function(boolean, string=)} report Called with whether the server should
+     * be included in the report and the event name to broadcast to the sender.
+     */
+    constructor(report) {
+        this.report = report;
+        this.lastSenderReport = 0;
+        this.lastServerReport = 0;
+    }
+
+    /**
+     * Report progress if one of the intervals has passed.
+     */
+    onTimeUpdate() {
+        const now = Date.now();
+
+        if (now - this.lastServerReport >= serverInterval) {
+            this.lastServerReport = now;
+            this.lastSenderReport = now;
+            this.report(true);
+        } else if (now - this.lastSenderReport >= senderInterval) {
+            this.lastSenderReport = now;
+            this.report(false);
+        }
+    }
+
+    /**
+     * Report a playback event immediately.
+     * @param {string} [eventName] Event name to broadcast to the sender, defaults to playbackprogress.
+     * @param {boolean} [reportToServer=true] Whether the server should receive the report too.
+     */
+    reportNow(eventName, reportToServer = true) {
+        const now = Date.now();
+
+        this.lastSenderReport = now;
+        if (reportToServer) {
+            this.lastServerReport = now;
+        }
+
+        this.report(reportToServer, eventName);
+    }
+
+    /**
+     * Start over, the first time update after a reset reports right away.
+     */
+    reset() {
+        this.lastSenderReport = 0;
+        this.lastServerReport = 0;
+    }
+}
@@ -0,0 +1,153 @@
+import { ajax, getFetchPromise } from "./fetchhelper";
+
+/**
+ * Delay before retrying a report after the server could not be reached.
+ */
+const initialRetryDelay = 1000;
+
+/**
+ * Upper bound for the delay between two attempts.
+ */
+const maxRetryDelay = 30000;
+
+/**
+ * Queue for playback reports sent to the server.
+ *
+ * Reports are sent one at a time in the order they were queued, so a stop report
+ * never overtakes the start report of the same item. Progress reports waiting in
+ * the queue get replaced by newer ones, as only the latest position matters.
+ * Reports failing with a recoverable error stay at the head of the queue and are
+ * retried with an exponential backoff, any other failure drops the report.
+ * Once the page unloads, reports skip the queue and go out in a way that outlives it.
+ */
+export class reportingQueue {
+    constructor() {
+        this.entries = [];
+        this.isSending = false;
+        this.retryTimeout = null;
+        this.retryDelay = initialRetryDelay;
+        this.isUnloading = false;
+    }
+
+    /**
+     * Queue a report.
+     * @param {string} type Type of the report, one of start, progress or stopped.
+     * @param {Object} request Request options as passed to ajax.
+     * @returns {Promise} Promise resolving once the report has been attempted,
+     * or right away if the queue is waiting for the server to come back.
+     */
+    enqueue(type, request) {
+        if (this.isUnloading) {
+            sendOnUnload(request);
+            return Promise.resolve();
+        }
+
+        const last = this.entries[this.entries.length - 1];
+        if (type === "progress" && last && last.type === "progress" && !last.isSending) {
+            last.request = request;
+            return last.promise;
+        }
+
+        const entry = {
+            type: type,
+            request: request,
+            isSending: false
+        };
+        entry.promise = new Promise((resolve) => {
+            entry.resolve = resolve;
+        });
+
+        this.entries.push(entry);
+
+        if (this.retryTimeout) {
+            // Don't hold up playback while the server is unreachable
+            entry.resolve();
+        } else {
+            this.sendNext();
+        }
+
+        return entry.promise;
+    }
+
+    sendNext() {
+        if (this.isSending || this.retryTimeout || !this.entries.length) {
+            return;
+        }
+
+        const entry = this.entries[0];
+        this.isSending = true;
+        entry.isSending = true;
+
+        // Retries are handled by the queue to keep the reports in order
+        ajax(Object.assign({}, entry.request, { retries: 0 })).then(() => {
+            this.remove(entry);
+            this.retryDelay = initialRetryDelay;
+        }, (err) => {
+            if (err && err.recoverable && this.entries.indexOf(entry) !== -1) {
+                console.log("Sending " + entry.type + " report failed, retrying in " + this.retryDelay + "ms");
+                this.scheduleRetry();
+            } else {
+                console.log("Dropping " + entry.type + " report: " + err);
+                this.remove(entry);
+            }
+        }).then(() => {
+            entry.isSending = false;
+            entry.resolve();
+            this.isSending = false;
+            this.sendNext();
+        });
+    }
+
+    /**
+     * @param {Object} entry Entry that is done, it may have been flushed already.
+     */
+    remove(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index !== -1) {
+            this.entries.splice(index, 1);
+        }
+    }
+
+    scheduleRetry() {
+        this.retryTimeout = setTimeout(() => {
+            this.retryTimeout = null;
+            this.sendNext();
+        }, this.retryDelay);
+
+        this.retryDelay = Math.min(this.retryDelay * 2, maxRetryDelay);
+    }
+
+    /**
+     * Send all pending reports in a way that outlives the page.
+     * Meant to be called while the page unloads, the queue is empty afterwards
+     * and reports queued later are sent right away.
+     */
+    flush() {
+        this.isUnloading = true;
+
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+
+        const entries = this.entries;
+        this.entries = [];
+
+        // The report being sent right now goes out again, the unload cancels its regular request
+        for (const entry of entries) {
+            sendOnUnload(entry.request);
+            entry.resolve();
+        }
+    }
+}
+
+/**
+ * Send a report that has to survive the page being closed.
+ * Beacons are no option, the server only takes reports as JSON, which beacons can't send across origins.
+ * @param {Object} request Request options as passed to ajax.
+ */
+function sendOnUnload(request) {
+    getFetchPromise(Object.assign({}, request, { keepalive: true })).catch((err) => {
+        console.log("Sending report on unload failed: " + err);
+    });
+}
@@ -0,0 +1,146 @@
+import {
+    broadcastToMessageBus,
+    getDisplayName,
+    getDisplayRunningTime
+} from "../helpers";
+
+/**
+ * Seconds the prompt waits for an answer before resuming on its own.
+ */
+const defaultTimeout = 10;
+
+/**
+ * Asks whether to resume an item where it was left or to start it over.
+ *
+ * The question is shown on screen and sent to the senders as a `resumeprompt`
+ * message, whichever answers first decides. Without an answer the item resumes
+ * once the timeout passed. Senders can skip the question altogether by asking
+ * to always resume.
+ */
+export class resumePrompt {
+    constructor() {
+        this.alwaysResume = false;
+        this.pending = null;
+
+        this.element = document.querySelector(".resumePrompt");
+        this.title = this.element.querySelector(".resumePromptTitle");
+        this.countdown = this.element.querySelector(".resumePromptCountdown");
+
+        this.element.querySelector(".btnResume").addEventListener("click", () => this.answer(true));
+        this.element.querySelector(".btnStartOver").addEventListener("click", () => this.answer(false));
+    }
+
+    /**
+     * @param {boolean} alwaysResume Whether items should resume without asking, as sent by the sender.
+     */
+    setAlwaysResume(alwaysResume) {
+        this.alwaysResume = !!alwaysResume;
+    }
+
+    /**
+     * @param {Object} item Item about to be played.
+     * @param {AbortSignal} signal Signal aborted once another item is requested, which dismisses the prompt.
+     * @returns {Promise<number>} Promise resolving to the position to start the item at,
+     * rejecting with an AbortError if the prompt was dismissed.
+     */
+    ask(item, signal) {
+        const positionTicks = item.UserData ? item.UserData.PlaybackPositionTicks : 0;
+        if (!positionTicks) {
+            return Promise.resolve(0);
+        }
+
+        if (this.alwaysResume) {
+            return Promise.resolve(positionTicks);
+        }
+
+        // Only one question at a time, a newer request takes over
+        this.dismiss();
+
+        return new Promise((resolve, reject) => {
+            const pending = {
+                resolve: (resume) => resolve(resume ? positionTicks : 0),
+                reject: reject,
+                remaining: defaultTimeout,
+                interval: null,
+                signal: signal,
+                onAbort: () => {
+                    if (this.pending === pending) {
+                        this.dismiss();
+                    }
+                }
+            };
+            this.pending = pending;
+
+            if (signal) {
+                signal.addEventListener("abort", pending.onAbort, { once: true });
+            }
+
+            pending.interval = setInterval(() => {
+                pending.remaining--;
+                if (pending.remaining <= 0) {
+                    this.answer(true);
+                } else {
+                    this.renderCountdown();
+                }
+            }, 1000);
+
+            this.title.textContent = getDisplayName(item);
+            this.element.querySelector(".btnResume").textContent = "Resume from " + getDisplayRunningTime(positionTicks);
+            this.renderCountdown();
+            this.element.classList.remove("hide");
+
+            broadcastToMessageBus({
+                type: "resumeprompt",
+                data: {
+                    ItemId: item.Id,
+                    PlaybackPositionTicks: positionTicks,
+                    Timeout: defaultTimeout
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {boolean} resume Whether to resume the item or start it over.
+     */
+    answer(resume) {
+        const pending = this.pending;
+        if (!pending) {
+            return;
+        }
+
+        this.close();
+        pending.resolve(resume);
+    }
+
+    /**
+     * Drop the question without an answer.
+     */
+    dismiss() {
+        const pending = this.pending;
+        if (!pending) {
+            return;
+        }
+
+        this.close();
+
+        const error = new Error("Resume prompt dismissed");
+        error.name = "AbortError";
+        pending.reject(error);
+    }
+
+    close() {
+        const pending = this.pending;
+        clearInterval(pending.interval);
+        if (pending.signal) {
+            pending.signal.removeEventListener("abort", pending.onAbort);
+        }
+
+        this.pending = null;
+        this.element.classList.add("hide");
+    }
+
+    renderCountdown() {
+        this.countdown.textContent = "Resuming in " + this.pending.remaining + "s";
+    }
+}
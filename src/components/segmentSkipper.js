@@ -0,0 +1,225 @@
+import { ajax } from "./fetchhelper";
+import {
+    getUrl,
+    getSecurityHeaders,
+    getItemServer,
+    getCurrentPositionTicks,
+    broadcastToMessageBus
+} from "../helpers";
+
+/**
+ * Chapter names marking intros and credits, as written by the common chapter sources.
+ */
+const introChapterPattern = /^(intro|opening|op|opening credits|recap)$/i;
+const creditsChapterPattern = /^(credits|end credits|ending|outro|ed)$/i;
+
+/**
+ * Labels of the skip button for each segment type.
+ */
+const skipLabels = {
+    Intro: "Skip Intro",
+    Outro: "Skip Credits"
+};
+
+/**
+ * Skipping lands this far before the end of credits that run until the end of the item,
+ * so the player still gets to finish it.
+ */
+const endMargin = 10000000;
+
+/**
+ * Offers to skip intros and credits.
+ *
+ * Segments come from the media segments of the server, or from the chapter names
+ * for servers and items without them. While playback is inside a segment, a skip
+ * button is shown and the segment is announced to the sender with a
+ * `segmentchange` message, so it can offer the SkipSegment command. Users who
+ * asked for it through their sender skip segments automatically.
+ */
+export class segmentSkipper {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     * @param {function(number)} seek Called with the position to seek to, in ticks.
+     */
+    constructor(playerManager, seek) {
+        this.playerManager = playerManager;
+        this.seek = seek;
+
+        this.segments = [];
+        this.activeSegment = null;
+        this.skippedSegments = [];
+        this.autoSkipUsers = {};
+        this.itemId = null;
+
+        this.button = document.querySelector(".skipSegmentButton");
+        this.button.addEventListener("click", () => this.skip());
+
+        const EventType = cast.framework.events.EventType;
+
+        playerManager.addEventListener(EventType.PLAYER_LOAD_COMPLETE, () => this.onLoad());
+        playerManager.addEventListener(EventType.TIME_UPDATE, () => this.onTimeUpdate());
+        playerManager.addEventListener(EventType.MEDIA_FINISHED, () => this.reset());
+    }
+
+    /**
+     * @param {string} userId Id of the user.
+     * @param {boolean} autoSkip Whether segments should be skipped without asking, as sent by the sender.
+     */
+    setAutoSkip(userId, autoSkip) {
+        this.autoSkipUsers[userId] = !!autoSkip;
+    }
+
+    onLoad() {
+        const item = $scope.item;
+
+        if (!item || item.MediaType !== "Video") {
+            this.reset();
+            return;
+        }
+
+        // Changing streams reloads the same item, its segments are still valid
+        if (item.Id === this.itemId) {
+            return;
+        }
+
+        this.reset();
+        this.itemId = item.Id;
+
+        this.getSegments(item).then((segments) => {
+            if (this.itemId === item.Id) {
+                this.segments = segments;
+                this.onTimeUpdate();
+            }
+        });
+    }
+
+    reset() {
+        this.itemId = null;
+        this.segments = [];
+        this.skippedSegments = [];
+        this.setActiveSegment(null);
+    }
+
+    /**
+     * @param {Object} item Item being played.
+     * @returns {Promise<Object[]>} Promise resolving to the intro and credits segments of the item.
+     */
+    getSegments(item) {
+        const server = getItemServer($scope);
+
+        return ajax({
+            url: getUrl(server.serverAddress, "MediaSegments/" + item.Id),
+            headers: getSecurityHeaders(server.accessToken, server.userId),
+            dataType: "json",
+            type: "GET",
+            retries: 0
+        }).then((result) => {
+            const segments = (result.Items || []).filter((segment) => skipLabels[segment.Type]);
+            return segments.length ? segments : getChapterSegments(item);
+        }, (err) => {
+            // Servers without media segments answer with an error, the chapters are all there is
+            console.log("Loading media segments failed: " + err);
+            return getChapterSegments(item);
+        });
+    }
+
+    onTimeUpdate() {
+        if (!this.segments.length || $scope.isChangingStream) {
+            return;
+        }
+
+        const positionTicks = getCurrentPositionTicks($scope);
+        const segment = this.segments.find((s) => positionTicks >= s.StartTicks && positionTicks < s.EndTicks) || null;
+        this.setActiveSegment(segment);
+
+        // Seeking back into a segment that was skipped once means the user wants to watch it
+        if (segment && this.autoSkipUsers[$scope.userId] && this.skippedSegments.indexOf(segment) === -1) {
+            this.skippedSegments.push(segment);
+            this.skip();
+        }
+    }
+
+    /**
+     * @param {?Object} segment Segment playback is in, null outside of any.
+     */
+    setActiveSegment(segment) {
+        if (segment === this.activeSegment) {
+            return;
+        }
+
+        this.activeSegment = segment;
+
+        if (segment) {
+            this.button.textContent = skipLabels[segment.Type];
+            this.button.classList.remove("hide");
+        } else {
+            this.button.classList.add("hide");
+        }
+
+        broadcastToMessageBus({
+            type: "segmentchange",
+            data: segment ? {
+                Type: segment.Type,
+                StartTicks: segment.StartTicks,
+                EndTicks: segment.EndTicks
+            } : null
+        });
+    }
+
+    /**
+     * Skip to the end of the segment playback is in.
+     * @returns {boolean} Whether there was a segment to skip.
+     */
+    skip() {
+        const segment = this.activeSegment;
+        if (!segment) {
+            return false;
+        }
+
+        let endTicks = segment.EndTicks;
+        const runtimeTicks = $scope.runtimeTicks;
+        if (runtimeTicks && endTicks > runtimeTicks - endMargin) {
+            endTicks = runtimeTicks - endMargin;
+        }
+
+        this.setActiveSegment(null);
+        this.seek(endTicks);
+        return true;
+    }
+}
+
+/**
+ * Derive segments from chapters named like intros or credits.
+ * @param {Object} item Item being played.
+ * @returns {Object[]} Segments shaped like the media segments of the server.
+ */
+function getChapterSegments(item) {
+    const chapters = item.Chapters || [];
+    const segments = [];
+
+    chapters.forEach((chapter, index) => {
+        const name = (chapter.Name || "").trim();
+        let type = null;
+        if (introChapterPattern.test(name)) {
+            type = "Intro";
+        } else if (creditsChapterPattern.test(name)) {
+            type = "Outro";
+        }
+
+        if (!type) {
+            return;
+        }
+
+        const next = chapters[index + 1];
+        const endTicks = next ? next.StartPositionTicks : item.RunTimeTicks;
+        if (endTicks > chapter.StartPositionTicks) {
+            segments.push({
+                Type: type,
+                StartTicks: chapter.StartPositionTicks,
+                EndTicks: endTicks
+            });
+        }
+    });
+
+    return segments;
+}
@@ -0,0 +1,126 @@
+/**
+ * Seconds behind the live edge the viewer can go back unless the sender asks for something else.
+ */
+const defaultWindow = 30 * 60;
+
+/**
+ * Seeks closer than this to the live edge jump to live, the player can't buffer ahead of it anyway.
+ */
+const liveEdgeTolerance = 10;
+
+/**
+ * Time-shift of live channels.
+ *
+ * Live streams transcoded to HLS keep their segments on the server, so the player
+ * can pause them and go back in time. This keeps seeks within the configured window
+ * behind the live edge and publishes that window to the sender through
+ * `$scope.liveSeekableRange`, in ticks like the playback position.
+ */
+export class timeShift {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     */
+    constructor(playerManager) {
+        this.playerManager = playerManager;
+        this.window = defaultWindow;
+        this.isActive = false;
+        this.loadedAt = 0;
+        this.loadedPosition = 0;
+
+        const EventType = cast.framework.events.EventType;
+
+        playerManager.addEventListener(EventType.PLAYER_LOAD_COMPLETE, () => {
+            const mediaInformation = playerManager.getMediaInformation();
+            const customData = mediaInformation && mediaInformation.customData;
+
+            this.isActive = !!(customData && customData.isLive && customData.canClientSeek);
+            this.loadedAt = Date.now();
+            this.loadedPosition = playerManager.getCurrentTimeSec();
+            this.updateRange();
+        });
+        playerManager.addEventListener(EventType.TIME_UPDATE, () => this.updateRange());
+        playerManager.addEventListener(EventType.MEDIA_FINISHED, () => this.stop());
+    }
+
+    /**
+     * @param {number} seconds How far behind the live edge the viewer can go, as sent by the sender.
+     */
+    setWindow(seconds) {
+        this.window = seconds > 0 ? seconds : defaultWindow;
+    }
+
+    stop() {
+        this.isActive = false;
+        $scope.liveSeekableRange = null;
+    }
+
+    /**
+     * @returns {?{start: number, end: number}} Range that can be seeked to in seconds, null if the stream isn't time-shifted.
+     */
+    getSeekableRange() {
+        if (!this.isActive) {
+            return null;
+        }
+
+        const playerRange = this.playerManager.getLiveSeekableRange();
+
+        let start = 0;
+        let end;
+        if (playerRange && playerRange.end != null) {
+            start = playerRange.start || 0;
+            end = playerRange.end;
+        } else {
+            // Without a range from the player, estimate the live edge from the time passed since loading
+            end = this.loadedPosition + (Date.now() - this.loadedAt) / 1000;
+        }
+
+        return {
+            start: Math.max(start, end - this.window),
+            end: end
+        };
+    }
+
+    /**
+     * @param {number} seconds Position requested by the sender.
+     * @returns {number} The position moved into the seekable range.
+     */
+    clamp(seconds) {
+        const range = this.getSeekableRange();
+        if (!range) {
+            return seconds;
+        }
+
+        if (seconds >= range.end - liveEdgeTolerance) {
+            return range.end;
+        }
+
+        return Math.max(range.start, seconds);
+    }
+
+    /**
+     * Go back to the live edge.
+     * @returns {boolean} Whether the stream is time-shifted, only then there is something to jump to.
+     */
+    jumpToLive() {
+        const range = this.getSeekableRange();
+        if (!range) {
+            return false;
+        }
+
+        this.playerManager.seek(range.end);
+        if (this.playerManager.getPlayerState() === cast.framework.messages.PlayerState.PAUSED) {
+            this.playerManager.play();
+        }
+
+        return true;
+    }
+
+    updateRange() {
+        const range = this.getSeekableRange();
+
+        $scope.liveSeekableRange = range ? {
+            StartTicks: Math.round(range.start * 10000000),
+            EndTicks: Math.round(range.end * 10000000)
+        } : null;
+    }
+}
@@ -0,0 +1,126 @@
+import { factory as jellyfinActions } from "./jellyfinactions";
+import { getItemServer, broadcastError } from "../helpers";
+
+/**
+ * Layouts of the touch controls, the button of each slot by kind of item.
+ */
+function getLayouts() {
+    const Button = cast.framework.ui.ControlsButton;
+    const Slot = cast.framework.ui.ControlsSlot;
+
+    return {
+        Video: [
+            [Slot.SLOT_SECONDARY_1, Button.CAPTIONS],
+            [Slot.SLOT_PRIMARY_1, Button.SEEK_BACKWARD_15],
+            [Slot.SLOT_PRIMARY_2, Button.SEEK_FORWARD_15],
+            [Slot.SLOT_SECONDARY_2, Button.LIKE]
+        ],
+        Audio: [
+            [Slot.SLOT_SECONDARY_1, Button.SHUFFLE],
+            [Slot.SLOT_PRIMARY_1, Button.QUEUE_PREV],
+            [Slot.SLOT_PRIMARY_2, Button.QUEUE_NEXT],
+            [Slot.SLOT_SECONDARY_2, Button.REPEAT]
+        ],
+        // Channels can't be seeked or liked, there is only the picking of tracks
+        TvChannel: [
+            [Slot.SLOT_SECONDARY_1, Button.CAPTIONS]
+        ]
+    };
+}
+
+/**
+ * Touch controls of the player, laid out for the kind of item playing.
+ *
+ * Videos get the track pickers, seeking and liking, music gets moving through
+ * the queue, shuffle and repeat. The media commands announced to senders follow
+ * the same layout. Liking an item makes it a favorite of the user.
+ */
+export class touchControls {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     */
+    constructor(playerManager) {
+        this.playerManager = playerManager;
+        this.controls = cast.framework.ui.Controls.getInstance();
+        this.layouts = getLayouts();
+
+        this.apply(null);
+
+        playerManager.addEventListener(cast.framework.events.EventType.PLAYER_LOAD_COMPLETE, () => this.apply($scope.item));
+    }
+
+    /**
+     * @param {?Object} item Item being played.
+     */
+    apply(item) {
+        const Command = cast.framework.messages.Command;
+
+        let layout;
+        // Anything playing can move on to another device
+        let commands = Command.ALL_BASIC_MEDIA | Command.STREAM_TRANSFER;
+        if (!item) {
+            layout = this.layouts.Video;
+        } else if (item.Type === "TvChannel") {
+            layout = this.layouts.TvChannel;
+            commands = Command.PAUSE | Command.STREAM_VOLUME | Command.STREAM_MUTE | Command.EDIT_TRACKS | Command.STREAM_TRANSFER;
+        } else if (item.MediaType === "Audio") {
+            layout = this.layouts.Audio;
+            commands |= Command.QUEUE_NEXT | Command.QUEUE_PREV | Command.QUEUE_SHUFFLE | Command.QUEUE_REPEAT;
+        } else {
+            layout = this.layouts.Video;
+            commands |= Command.QUEUE_NEXT | Command.QUEUE_PREV | Command.EDIT_TRACKS | Command.LIKE;
+        }
+
+        this.controls.clearDefaultSlotAssignments();
+        for (const [slot, button] of layout) {
+            this.controls.assignButton(slot, button);
+        }
+
+        if (item) {
+            this.playerManager.setSupportedMediaCommands(commands, true);
+            this.updateFavoriteState(item);
+        }
+    }
+
+    /**
+     * Show whether the item is a favorite on the like button.
+     * @param {Object} item Item being played.
+     */
+    updateFavoriteState(item) {
+        const mediaInformation = this.playerManager.getMediaInformation();
+        if (!mediaInformation) {
+            return;
+        }
+
+        const UserAction = cast.framework.messages.UserAction;
+        const isFavorite = !!(item.UserData && item.UserData.IsFavorite);
+        const hasState = (mediaInformation.userActionStates || []).some((state) => state.userAction === UserAction.LIKE);
+        if (isFavorite === hasState) {
+            return;
+        }
+
+        mediaInformation.userActionStates = isFavorite ? [new cast.framework.messages.UserActionState(UserAction.LIKE)] : [];
+        this.playerManager.setMediaInformation(mediaInformation, true);
+    }
+
+    /**
+     * @param {boolean} isFavorite Whether the playing item should be a favorite.
+     * @returns {Promise} Promise resolving once the server saved it.
+     */
+    setFavorite(isFavorite) {
+        const item = $scope.item;
+        if (!item) {
+            return Promise.resolve();
+        }
+
+        return jellyfinActions.setFavorite(getItemServer($scope), item.Id, isFavorite).then((userData) => {
+            item.UserData = userData;
+            if ($scope.item === item) {
+                this.updateFavoriteState(item);
+            }
+        }, (err) => {
+            console.log("Changing favorite of " + item.Id + " failed: " + err);
+            broadcastError(err);
+        });
+    }
+}
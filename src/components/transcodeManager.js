@@ -0,0 +1,186 @@
+import { factory as jellyfinActions } from "./jellyfinactions";
+
+/**
+ * Time without any report to the server after which the transcode gets pinged.
+ * Progress reports keep it alive as well, so this only kicks in while paused or stalled.
+ */
+const pingInterval = 10000;
+
+/**
+ * Time in pause after which the transcode is stopped. It gets reopened when playback resumes.
+ */
+const suspendDelay = 5 * 60 * 1000;
+
+/**
+ * Owns the server side transcode of the active stream.
+ *
+ * The transcode is pinged when the server hasn't heard from the receiver for a while,
+ * killed before switching to another stream, stopped after a long pause and closed
+ * when playback stops. Streams that aren't transcoded are left alone.
+ *
+ * Live streams opened for the stream are closed when playback stops or another
+ * live stream replaces them, so the tuner doesn't stay busy.
+ */
+export class transcodeManager {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     * @param {function()} reopen Called to load a new stream at the current position
+     * when playback resumes after the transcode was stopped.
+     */
+    constructor(playerManager, reopen) {
+        this.playerManager = playerManager;
+        this.reopen = reopen;
+
+        this.session = null;
+        this.liveStream = null;
+        this.isLive = false;
+        this.isSuspended = false;
+        this.pingTimeout = null;
+        this.suspendTimeout = null;
+
+        playerManager.addEventListener(cast.framework.events.EventType.PAUSE, () => this.onPause());
+        playerManager.addEventListener(cast.framework.events.EventType.PLAY, () => this.onPlay());
+    }
+
+    /**
+     * Take over the transcode of a stream that was just loaded.
+     * @param {Object} customData Custom data of the loaded media information.
+     */
+    start(customData) {
+        this.clearTimers();
+        this.isSuspended = false;
+
+        const server = {
+            serverAddress: customData.serverAddress,
+            accessToken: customData.accessToken,
+            userId: customData.userId
+        };
+
+        // Switching channels opens a new live stream, the previous one isn't needed anymore
+        if (this.liveStream && this.liveStream.id !== customData.liveStreamId) {
+            this.closeLiveStream();
+        }
+        this.liveStream = customData.liveStreamId ? { id: customData.liveStreamId, server: server } : null;
+        this.isLive = !!customData.isLive;
+
+        if (customData.playMethod !== "Transcode") {
+            this.session = null;
+            return;
+        }
+
+        this.session = {
+            playSessionId: customData.playSessionId,
+            server: server
+        };
+
+        this.onServerContact();
+    }
+
+    /**
+     * Postpone the next ping, the server just received a report from us.
+     */
+    onServerContact() {
+        clearTimeout(this.pingTimeout);
+        this.pingTimeout = null;
+
+        if (!this.session || this.isSuspended) {
+            return;
+        }
+
+        this.pingTimeout = setTimeout(() => this.ping(), pingInterval);
+    }
+
+    ping() {
+        const session = this.session;
+
+        jellyfinActions.pingTranscoder(session.server, session.playSessionId).catch((err) => {
+            console.log("Pinging transcode failed: " + err);
+        });
+
+        this.onServerContact();
+    }
+
+    onPause() {
+        // The transcode of a live channel holds its time-shift buffer, stopping it would lose the paused position
+        if (!this.session || this.isSuspended || this.isLive) {
+            return;
+        }
+
+        clearTimeout(this.suspendTimeout);
+        this.suspendTimeout = setTimeout(() => this.suspend(), suspendDelay);
+    }
+
+    onPlay() {
+        clearTimeout(this.suspendTimeout);
+        this.suspendTimeout = null;
+
+        if (this.isSuspended) {
+            console.log("Reopening transcode stopped during pause");
+            this.isSuspended = false;
+            this.reopen();
+        }
+    }
+
+    suspend() {
+        console.log("Stopping transcode after a long pause");
+
+        this.clearTimers();
+        this.isSuspended = true;
+        this.stopEncoding();
+    }
+
+    /**
+     * Kill the encoding of the current stream, e.g. before switching to another one.
+     * @returns {Promise} Promise resolving once the encoding was stopped or stopping it failed.
+     */
+    stopEncoding() {
+        if (!this.session) {
+            return Promise.resolve();
+        }
+
+        return jellyfinActions.stopActiveEncodings(this.session.server, this.session.playSessionId).catch((err) => {
+            console.log("Stopping active encodings failed: " + err);
+        });
+    }
+
+    /**
+     * @returns {Promise} Promise resolving once the live stream was closed or closing it failed.
+     */
+    closeLiveStream() {
+        const liveStream = this.liveStream;
+        this.liveStream = null;
+
+        if (!liveStream) {
+            return Promise.resolve();
+        }
+
+        return jellyfinActions.closeLiveStream(liveStream.server, liveStream.id).catch((err) => {
+            console.log("Closing live stream failed: " + err);
+        });
+    }
+
+    /**
+     * Close the transcode and the live stream when playback stops.
+     * @returns {Promise} Promise resolving once both were stopped or stopping them failed.
+     */
+    stop() {
+        this.clearTimers();
+
+        const promise = Promise.all([
+            this.isSuspended ? Promise.resolve() : this.stopEncoding(),
+            this.closeLiveStream()
+        ]);
+
+        this.session = null;
+        this.isSuspended = false;
+
+        return promise;
+    }
+
+    clearTimers() {
+        clearTimeout(this.pingTimeout);
+        clearTimeout(this.suspendTimeout);
+        this.pingTimeout = null;
+        this.suspendTimeout = null;
+    }
+}
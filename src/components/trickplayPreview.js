@@ -0,0 +1,186 @@
+import {
+    getUrl,
+    getItemServer,
+    getDisplayRunningTime
+} from "../helpers";
+
+/**
+ * Width of the thumbnails preferred among the resolutions the server generated.
+ */
+const preferredWidth = 320;
+
+/**
+ * Time the preview stays on screen after the seek completed.
+ */
+const hideDelay = 1500;
+
+/**
+ * Thumbnail preview of the position being seeked to.
+ *
+ * Thumbnails are cut from the trickplay tile sheets of the server, items without
+ * trickplay data fall back to the image of the chapter the position is in.
+ * The preview is placed over the progress bar at the position it shows.
+ */
+export class trickplayPreview {
+    /**
+     * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+     */
+    constructor(playerManager) {
+        this.playerManager = playerManager;
+        this.trickplay = null;
+        this.hideTimeout = null;
+
+        this.element = document.querySelector(".trickplayPreview");
+        this.image = this.element.querySelector(".trickplayImage");
+        this.time = this.element.querySelector(".trickplayTime");
+
+        const EventType = cast.framework.events.EventType;
+
+        playerManager.addEventListener(EventType.PLAYER_LOAD_COMPLETE, () => {
+            this.trickplay = getTrickplayInfo($scope.item, $scope.mediaSourceId);
+            this.scheduleHide();
+        });
+        playerManager.addEventListener(EventType.SEEKING, (event) => {
+            // Seeks of the player, like the 15 second buttons of the controls, are in the time of the stream
+            if (event.currentMediaTime != null) {
+                this.show(toItemTicks(playerManager, event.currentMediaTime));
+            }
+        });
+        playerManager.addEventListener(EventType.SEEKED, () => this.scheduleHide());
+        playerManager.addEventListener(EventType.MEDIA_FINISHED, () => this.hide());
+    }
+
+    /**
+     * Show the thumbnail of a position while seeking to it.
+     * @param {number} positionTicks Position in the item.
+     */
+    show(positionTicks) {
+        const item = $scope.item;
+        if (!item || item.MediaType !== "Video") {
+            return;
+        }
+
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+
+        if (!this.setTrickplayImage(item, positionTicks) && !this.setChapterImage(item, positionTicks)) {
+            this.image.classList.add("hide");
+        }
+
+        this.time.textContent = getDisplayRunningTime(positionTicks);
+
+        const runtimeTicks = $scope.runtimeTicks || item.RunTimeTicks;
+        const fraction = runtimeTicks ? Math.min(1, Math.max(0, positionTicks / runtimeTicks)) : 0;
+        this.element.style.left = (5 + fraction * 90) + "%";
+        this.element.classList.remove("hide");
+    }
+
+    /**
+     * @returns {boolean} Whether the item has trickplay data to show the position from.
+     */
+    setTrickplayImage(item, positionTicks) {
+        const info = this.trickplay;
+        if (!info) {
+            return false;
+        }
+
+        const tilesPerSheet = info.TileWidth * info.TileHeight;
+        const index = Math.min(Math.floor(positionTicks / 10000 / info.Interval), info.ThumbnailCount - 1);
+        const sheet = Math.floor(index / tilesPerSheet);
+        const tile = index % tilesPerSheet;
+
+        const server = getItemServer($scope);
+        // Background images can't carry headers, the sheets need the token in the query string
+        const url = getUrl(server.serverAddress, "Videos/" + item.Id + "/Trickplay/" + info.Width + "/" + sheet + ".jpg?MediaSourceId=" + $scope.mediaSourceId +
+            "&api_key=" + encodeURIComponent(server.accessToken));
+
+        this.image.style.width = info.Width + "px";
+        this.image.style.height = info.Height + "px";
+        this.image.style.backgroundImage = "url(" + url + ")";
+        this.image.style.backgroundSize = (info.TileWidth * info.Width) + "px " + (info.TileHeight * info.Height) + "px";
+        this.image.style.backgroundPosition = "-" + ((tile % info.TileWidth) * info.Width) + "px -" + (Math.floor(tile / info.TileWidth) * info.Height) + "px";
+        this.image.classList.remove("hide");
+
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Whether the position is in a chapter with an image.
+     */
+    setChapterImage(item, positionTicks) {
+        const chapters = item.Chapters || [];
+
+        let index = -1;
+        chapters.forEach((chapter, i) => {
+            if (chapter.StartPositionTicks <= positionTicks) {
+                index = i;
+            }
+        });
+
+        const chapter = chapters[index];
+        if (!chapter || !chapter.ImageTag) {
+            return false;
+        }
+
+        const server = getItemServer($scope);
+        const url = getUrl(server.serverAddress, "Items/" + item.Id + "/Images/Chapter/" + index + "?maxWidth=" + preferredWidth + "&tag=" + chapter.ImageTag);
+
+        this.image.style.width = preferredWidth + "px";
+        this.image.style.height = Math.round(preferredWidth * 9 / 16) + "px";
+        this.image.style.backgroundImage = "url(" + url + ")";
+        this.image.style.backgroundSize = "cover";
+        this.image.style.backgroundPosition = "center";
+        this.image.classList.remove("hide");
+
+        return true;
+    }
+
+    scheduleHide() {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(() => this.hide(), hideDelay);
+    }
+
+    hide() {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+        this.element.classList.add("hide");
+    }
+}
+
+/**
+ * Pick the trickplay resolution closest to the preferred width.
+ * @param {?Object} item Item being played, queried with the Trickplay field.
+ * @param {string} mediaSourceId Id of the media source being played.
+ * @returns {?Object} Trickplay info of the resolution, null if the server has none.
+ */
+function getTrickplayInfo(item, mediaSourceId) {
+    const resolutions = item && item.Trickplay && item.Trickplay[mediaSourceId];
+    if (!resolutions) {
+        return null;
+    }
+
+    let best = null;
+    for (const width of Object.keys(resolutions)) {
+        const info = resolutions[width];
+        if (!best || Math.abs(info.Width - preferredWidth) < Math.abs(best.Width - preferredWidth)) {
+            best = info;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * @param {cast.framework.PlayerManager} playerManager Player of the receiver.
+ * @param {number} mediaTime Time of the player in seconds.
+ * @returns {number} Position in the item, transcodes started later begin at their start position.
+ */
+function toItemTicks(playerManager, mediaTime) {
+    const mediaInformation = playerManager.getMediaInformation();
+    let ticks = mediaTime * 10000000;
+    if (mediaInformation && !mediaInformation.customData.canClientSeek) {
+        ticks += $scope.startPositionTicks || 0;
+    }
+
+    return ticks;
+}
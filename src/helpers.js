@@ -1,6 +1,7 @@
 /* eslint-disable */
 
 import { ajax } from "./components/fetchhelper";
+import { ServerError, toErrorPayload } from "./components/errors";
 
 export function getUrl(serverAddress, name) {
 
@@ -32,6 +33,7 @@ export function getCurrentPositionTicks($scope) {
 
 export function getReportingParams($scope) {
     var volumeInfo = window.castReceiverContext.getSystemVolume();
+    var playlistItem = window.playlist && window.playlist[window.currentPlaylistIndex];
     return {
         PositionTicks: getCurrentPositionTicks($scope),
         IsPaused: window.mediaManager.getPlayerState() === cast.framework.messages.PlayerState.PAUSED,
@@ -46,10 +48,25 @@ export function getReportingParams($scope) {
         PlayMethod: $scope.playMethod,
         LiveStreamId: $scope.liveStreamId,
         PlaySessionId: $scope.playSessionId,
-        RepeatMode: window.repeatMode
+        RepeatMode: window.repeatMode,
+        ShuffleMode: window.shuffleMode,
+        PlaylistItemId: playlistItem ? playlistItem.PlaylistItemId : null,
+        NowPlayingQueue: getNowPlayingQueue()
     };
 }
 
+/**
+ * @returns {Object[]} Items of the playlist, as the server expects them in the now playing queue.
+ */
+export function getNowPlayingQueue() {
+    return (window.playlist || []).map(function (item) {
+        return {
+            Id: item.Id,
+            PlaylistItemId: item.PlaylistItemId
+        };
+    });
+}
+
 export function getNextPlaybackItemInfo() {
 
     var playlist = window.playlist;
@@ -60,6 +77,7 @@ export function getNextPlaybackItemInfo() {
 
     var newIndex;
 
+    // Shuffling reorders the playlist itself, the playback manager shuffles it again when repeating wraps around
     if (window.currentPlaylistIndex == -1) {
         newIndex = 0;
     } else {
@@ -111,6 +129,11 @@ export function getSenderReportingData($scope, reportingData) {
         RunTimeTicks: $scope.runtimeTicks
     };
 
+    // Live streams have no runtime, the sender scrubs within the time-shift window instead
+    if ($scope.liveSeekableRange) {
+        state.PlayState.LiveSeekableRange = $scope.liveSeekableRange;
+    }
+
     var item = $scope.item;
 
     if (item) {
@@ -121,7 +144,8 @@ export function getSenderReportingData($scope, reportingData) {
         nowPlayingItem.Chapters = item.Chapters || [];
 
         // TODO: Fill these
-        var mediaSource = item.MediaSources.filter(function (m) {
+        // Channels from the channel list come without their media sources
+        var mediaSource = (item.MediaSources || []).filter(function (m) {
             return m.Id == reportingData.MediaSourceId;
         })[0];
 
@@ -216,6 +240,8 @@ export function resetPlaybackScope($scope) {
 
     $scope.item = null;
     $scope.liveStreamId = '';
+    $scope.isLive = false;
+    $scope.liveSeekableRange = null;
     $scope.playSessionId = '';
 
     // Detail content
@@ -228,13 +254,13 @@ export function getMetadata(item) {
     var posterUrl = '';
 
     if (item.SeriesPrimaryImageTag) {
-        posterUrl = $scope.serverAddress + '/emby/Items/' + item.SeriesId + '/Images/Primary?tag=' + item.SeriesPrimaryImageTag;
+        posterUrl = item.serverAddress + '/emby/Items/' + item.SeriesId + '/Images/Primary?tag=' + item.SeriesPrimaryImageTag;
     } else if (item.AlbumPrimaryImageTag) {
-        posterUrl = $scope.serverAddress + '/emby/Items/' + item.AlbumId + '/Images/Primary?tag=' + (item.AlbumPrimaryImageTag);
+        posterUrl = item.serverAddress + '/emby/Items/' + item.AlbumId + '/Images/Primary?tag=' + (item.AlbumPrimaryImageTag);
     } else if (item.PrimaryImageTag) {
-        posterUrl = $scope.serverAddress + '/emby/Items/' + item.Id + '/Images/Primary?tag=' + (item.PrimaryImageTag);
+        posterUrl = item.serverAddress + '/emby/Items/' + item.Id + '/Images/Primary?tag=' + (item.PrimaryImageTag);
     } else if (item.ImageTags.Primary) {
-        posterUrl = $scope.serverAddress + '/emby/Items/' + item.Id + '/Images/Primary?tag=' + (item.ImageTags.Primary);
+        posterUrl = item.serverAddress + '/emby/Items/' + item.Id + '/Images/Primary?tag=' + (item.ImageTags.Primary);
     }
 
     if (item.Type == 'Episode') {
@@ -287,6 +313,14 @@ export function getMetadata(item) {
         if (composer) {
             metadata.composer = composer.Name;
         }
+    } else if (item.Type == 'TvChannel') {
+
+        metadata = new cast.framework.messages.GenericMediaMetadata();
+
+        // The channel is what's playing, what it airs right now is the better subtitle
+        if (item.CurrentProgram) {
+            metadata.subtitle = item.CurrentProgram.Name;
+        }
     } else if (item.Type == 'Movie') {
 
         metadata = new cast.framework.messages.MovieMediaMetadata();
@@ -304,7 +338,7 @@ export function getMetadata(item) {
         }
     }
 
-    metadata.title = item.Name;
+    metadata.title = item.Type == 'TvChannel' && item.ChannelNumber ? item.ChannelNumber + ' ' + item.Name : item.Name;
     metadata.images = [new cast.framework.messages.Image(posterUrl)];
     return metadata;
 }
@@ -406,7 +440,8 @@ export function createStreamInfo(item, mediaSource, startPosition) {
         contentType: contentType,
         streamContainer: streamContainer,
         canSeek: canSeek,
-        canClientSeek: isStatic || (canSeek && streamContainer == 'm3u8'),
+        // The player keeps the segments of live HLS streams, which is what makes time-shifting them possible
+        canClientSeek: isStatic || ((canSeek || isLiveStream(item, mediaSource)) && streamContainer == 'm3u8'),
         audioStreamIndex: mediaSource.DefaultAudioStreamIndex,
         subtitleStreamIndex: mediaSource.DefaultSubtitleStreamIndex,
         playerStartPositionTicks: playerStartPositionTicks,
@@ -445,9 +480,31 @@ export function createStreamInfo(item, mediaSource, startPosition) {
         info.tracks = subtitleTracks;
     }
 
+    // The stream only holds the audio being played, the others are listed for senders to switch to through the server
+    if (item.MediaType === 'Video') {
+        info.audioStreams = mediaSource.MediaStreams.filter(function (stream) {
+            return stream.Type === 'Audio';
+        }).map(function (stream) {
+            return {
+                Index: stream.Index,
+                Language: stream.Language,
+                DisplayTitle: stream.DisplayTitle
+            };
+        });
+    }
+
     return info;
 }
 
+/**
+ * @param {Object} item Item being played.
+ * @param {Object} mediaSource Media source it is played from.
+ * @returns {boolean} Whether the stream is live, meaning it has no end and can't be seeked.
+ */
+export function isLiveStream(item, mediaSource) {
+    return item.Type == 'TvChannel' || !!(mediaSource.IsInfiniteStream && !mediaSource.RunTimeTicks);
+}
+
 export function getStreamByIndex(streams, type, index) {
     return streams.filter(function (s) {
 
@@ -456,6 +513,55 @@ export function getStreamByIndex(streams, type, index) {
     })[0];
 }
 
+/**
+ * @param {Object[]} streams Media streams of a media source.
+ * @param {string} type Type of the stream, like Audio or Subtitle.
+ * @param {string} language Language as sent by Cast senders, a BCP 47 tag like en-US.
+ * @returns {?Object} Stream in the language, the default one among several.
+ */
+export function findStreamByLanguage(streams, type, language) {
+    var wanted = normalizeLanguage(language);
+    var matches = streams.filter(function (s) {
+        return s.Type == type && s.Language && normalizeLanguage(s.Language) == wanted;
+    });
+
+    return matches.find(function (s) {
+        return s.IsDefault;
+    }) || matches[0] || null;
+}
+
+/**
+ * Reduce a language to its primary subtag, so the three letter codes of the server
+ * compare to the BCP 47 tags of senders.
+ * @param {string} language Language code or tag.
+ * @returns {string} Primary language subtag, like en.
+ */
+function normalizeLanguage(language) {
+    try {
+        return new Intl.Locale(Intl.getCanonicalLocales(language)[0]).language;
+    } catch (err) {
+        // Codes the browser doesn't know about compare as they are
+        return language.split('-')[0].toLowerCase();
+    }
+}
+
+/**
+ * Get the server requests for the active item have to go to.
+ * Every item carries the credentials of the server it was queued from,
+ * while $scope only holds those of the sender that spoke last.
+ * @param {Object} $scope Global playback scope.
+ * @returns {Object} Object holding the serverAddress, accessToken and userId to use.
+ */
+export function getItemServer($scope) {
+    var source = $scope.item && $scope.item.serverAddress ? $scope.item : $scope;
+
+    return {
+        serverAddress: source.serverAddress,
+        accessToken: source.accessToken,
+        userId: source.userId
+    };
+}
+
 export function getSecurityHeaders(accessToken, userId) {
 
     var auth = 'Emby Client="Chromecast", Device="' + deviceInfo.deviceName + '", DeviceId="' + deviceInfo.deviceId + '", Version="' + deviceInfo.versionNumber + '"';
@@ -565,9 +671,9 @@ export function getRatingHtml(item) {
     return html;
 }
 
-var requiredItemFields = "MediaSources,Chapters";
+var requiredItemFields = "MediaSources,Chapters,Trickplay";
 
-export function getShuffleItems(serverAddress, accessToken, userId, item) {
+export function getShuffleItems(serverAddress, accessToken, userId, item, signal) {
 
     var query = {
         UserId: userId,
@@ -592,10 +698,10 @@ export function getShuffleItems(serverAddress, accessToken, userId, item) {
         query.ParentId = item.Id;
     }
 
-    return getItemsForPlayback(serverAddress, accessToken, userId, query);
+    return getItemsForPlayback(serverAddress, accessToken, userId, query, signal);
 }
 
-export function getInstantMixItems(serverAddress, accessToken, userId, item) {
+export function getInstantMixItems(serverAddress, accessToken, userId, item, signal) {
 
     var query = {
         UserId: userId,
@@ -635,11 +741,12 @@ export function getInstantMixItems(serverAddress, accessToken, userId, item) {
         headers: getSecurityHeaders(accessToken, userId),
         query: query,
         type: 'GET',
-        dataType: 'json'
+        dataType: 'json',
+        signal: signal
     });
 }
 
-export function getItemsForPlayback(serverAddress, accessToken, userId, query) {
+export function getItemsForPlayback(serverAddress, accessToken, userId, query, signal) {
 
     query.UserId = userId;
     query.Limit = query.Limit || 100;
@@ -656,7 +763,8 @@ export function getItemsForPlayback(serverAddress, accessToken, userId, query) {
             url: url,
             headers: getSecurityHeaders(accessToken, userId),
             type: 'GET',
-            dataType: 'json'
+            dataType: 'json',
+            signal: signal
 
         }).then(function (item) {
             return {
@@ -672,11 +780,12 @@ export function getItemsForPlayback(serverAddress, accessToken, userId, query) {
         headers: getSecurityHeaders(accessToken, userId),
         query: query,
         type: 'GET',
-        dataType: 'json'
+        dataType: 'json',
+        signal: signal
     });
 }
 
-export function getEpisodesForPlayback(serverAddress, accessToken, userId, seriesId, query) {
+export function getEpisodesForPlayback(serverAddress, accessToken, userId, seriesId, query, signal) {
 
     query.UserId = userId;
     query.Fields = requiredItemFields;
@@ -690,11 +799,77 @@ export function getEpisodesForPlayback(serverAddress, accessToken, userId, serie
         headers: getSecurityHeaders(accessToken, userId),
         query: query,
         type: 'GET',
+        dataType: 'json',
+        signal: signal
+    });
+}
+
+/**
+ * Get the live channels of the user, in the order of the guide.
+ * @param {string} serverAddress Address of the server.
+ * @param {string} accessToken Access token of the user.
+ * @param {string} userId Id of the user.
+ * @param {?number} limit Maximum number of channels, all of them if not set.
+ * @param {AbortSignal} [signal] Signal aborting the request.
+ * @returns {Promise} Promise resolving to the query result holding the channels.
+ */
+export function getChannels(serverAddress, accessToken, userId, limit, signal) {
+
+    var url = getUrl(serverAddress, 'LiveTv/Channels');
+
+    var query = {
+        UserId: userId,
+        EnableUserData: false,
+        EnableImageTypes: 'Primary'
+    };
+
+    if (limit) {
+        query.Limit = limit;
+    }
+
+    return ajax({
+        url: url,
+        headers: getSecurityHeaders(accessToken, userId),
+        // Without sorting options the channels come in the order of the guide
+        query: query,
+        type: 'GET',
+        dataType: 'json',
+        signal: signal
+    });
+}
+
+/**
+ * Get the programs of channels airing within a time range, ordered by start date.
+ * @param {string} serverAddress Address of the server.
+ * @param {string} accessToken Access token of the user.
+ * @param {string} userId Id of the user.
+ * @param {string[]} channelIds Ids of the channels.
+ * @param {Date} minEndDate Programs ending before this are left out.
+ * @param {Date} maxStartDate Programs starting after this are left out.
+ * @returns {Promise} Promise resolving to the query result holding the programs.
+ */
+export function getPrograms(serverAddress, accessToken, userId, channelIds, minEndDate, maxStartDate) {
+
+    var url = getUrl(serverAddress, 'LiveTv/Programs');
+
+    return ajax({
+        url: url,
+        headers: getSecurityHeaders(accessToken, userId),
+        query: {
+            UserId: userId,
+            ChannelIds: channelIds.join(','),
+            MinEndDate: minEndDate.toISOString(),
+            MaxStartDate: maxStartDate.toISOString(),
+            SortBy: 'StartDate',
+            EnableUserData: false,
+            EnableImageTypes: 'Primary'
+        },
+        type: 'GET',
         dataType: 'json'
     });
 }
 
-export function getIntros(serverAddress, accessToken, userId, firstItem) {
+export function getIntros(serverAddress, accessToken, userId, firstItem, signal) {
 
     var url = getUrl(serverAddress, 'Users/' + userId + '/Items/' + firstItem.Id + '/Intros');
 
@@ -702,11 +877,12 @@ export function getIntros(serverAddress, accessToken, userId, firstItem) {
         url: url,
         dataType: 'json',
         headers: getSecurityHeaders(accessToken, userId),
-        type: 'GET'
+        type: 'GET',
+        signal: signal
     });
 }
 
-export function getUser(serverAddress, accessToken, userId) {
+export function getUser(serverAddress, accessToken, userId, signal) {
 
     var url = getUrl(serverAddress, 'Users/' + userId);
 
@@ -714,11 +890,12 @@ export function getUser(serverAddress, accessToken, userId) {
         url: url,
         dataType: 'json',
         headers: getSecurityHeaders(accessToken, userId),
-        type: 'GET'
+        type: 'GET',
+        signal: signal
     });
 }
 
-export function translateRequestedItems(serverAddress, accessToken, userId, items, smart) {
+export function translateRequestedItems(serverAddress, accessToken, userId, items, smart, signal) {
 
     var firstItem = items[0];
 
@@ -726,7 +903,7 @@ export function translateRequestedItems(serverAddress, accessToken, userId, item
 
         return getItemsForPlayback(serverAddress, accessToken, userId, {
             ParentId: firstItem.Id
-        });
+        }, signal);
 
     } else if (firstItem.Type == "MusicArtist") {
         return getItemsForPlayback(serverAddress, accessToken, userId, {
@@ -735,7 +912,7 @@ export function translateRequestedItems(serverAddress, accessToken, userId, item
             Recursive: true,
             SortBy: "SortName",
             MediaTypes: "Audio"
-        });
+        }, signal);
 
     } else if (firstItem.Type == "MusicGenre") {
         return getItemsForPlayback(serverAddress, accessToken, userId, {
@@ -744,7 +921,7 @@ export function translateRequestedItems(serverAddress, accessToken, userId, item
             Recursive: true,
             SortBy: "SortName",
             MediaTypes: "Audio"
-        });
+        }, signal);
 
     } else if (firstItem.IsFolder) {
         return getItemsForPlayback(serverAddress, accessToken, userId, {
@@ -753,9 +930,9 @@ export function translateRequestedItems(serverAddress, accessToken, userId, item
             Recursive: true,
             SortBy: "SortName",
             MediaTypes: "Audio,Video"
-        });
+        }, signal);
     } else if (smart && firstItem.Type == "Episode" && items.length == 1) {
-        return getUser(serverAddress, accessToken, userId).then(function (user) {
+        return getUser(serverAddress, accessToken, userId, signal).then(function (user) {
 
             if (!user.Configuration.EnableNextEpisodeAutoPlay) {
 
@@ -768,7 +945,7 @@ export function translateRequestedItems(serverAddress, accessToken, userId, item
 
                 Ids: firstItem.Id
 
-            }).then(function (result) {
+            }, signal).then(function (result) {
 
                 var episode = result.Items[0];
 
@@ -781,7 +958,7 @@ export function translateRequestedItems(serverAddress, accessToken, userId, item
                     IsMissing: false,
                     UserId: userId
 
-                }).then(function (episodesResult) {
+                }, signal).then(function (episodesResult) {
 
                     var foundItem = false;
                     episodesResult.Items = episodesResult.Items.filter(function (e) {
@@ -1019,21 +1196,46 @@ export function broadcastToMessageBus(msg) {
     window.castReceiverContext.sendCustomMessage('urn:x-cast:com.connectsdk', window.senderId, msg);
 }
 
-export function broadcastConnectionErrorMessage() {
+/**
+ * Tell the sender that the server could not be reached or answered with an error.
+ * @param {*} error Error the request was rejected with.
+ */
+export function broadcastConnectionErrorMessage(error) {
+    var payload = toErrorPayload(error);
 
     broadcastToMessageBus({
         type: 'connectionerror',
-        message: ""
+        message: payload.message,
+        error: payload
     });
 }
 
+/**
+ * Report a failure to the sender.
+ * Playback refused by the server is sent as `playbackerror` with the server ErrorCode as message,
+ * anything else as `connectionerror`. Both carry an ErrorPayload in their `error` property.
+ * @param {*} error Error to report.
+ */
+export function broadcastError(error) {
+    if (error instanceof ServerError) {
+        broadcastToMessageBus({
+            type: 'playbackerror',
+            message: error.errorCode,
+            error: error.toPayload()
+        });
+        return;
+    }
+
+    broadcastConnectionErrorMessage(error);
+}
+
 export function cleanName(name) {
     return name.replace(/[^\w\s]/gi, '');
 }
 
 export function tagItems(items, data) {
     // Attach server data to the items
-    // Once day the items could be coming from multiple servers, each with their own security info
+    // The queue may hold items from multiple servers, each request for an item has to use its own security info
     for (var i = 0, length = items.length; i < length; i++) {
         items[i].userId = data.userId;
         items[i].accessToken = data.accessToken;